@@ -5,1078 +5,7621 @@
 const state = {
     musicPlaying: false,
     currentTheme: 'romantic',
-    particles: []
+    particles: [],
+    config: null
 };
 
 // ================================
-// Particle System
+// Lifecycle
 // ================================
 
-class Particle {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.reset();
+// Everything a controller starts outside its own markup: listeners on the page, timers,
+// animation frames, observers and nodes added to <body>. Timers and frames go through
+// here so pause() can freeze them (remaining time is kept) and destroy() can undo it all.
+class Lifecycle {
+    // root: the AppRoot whose body attach() adds nodes to
+    constructor(root = pageRoot) {
+        this.root = root;
+        this.cleanups = [];
+        this.timers = new Map(); // handle -> { kind, callback, ms, remaining, due, native }
+        this.nodes = new Set();
+        this.nextHandle = 1;
+        this.paused = false;
     }
 
-    reset() {
-        this.x = Math.random() * this.canvas.width;
-        this.y = Math.random() * this.canvas.height;
-        this.size = Math.random() * 3 + 1;
-        this.speedX = Math.random() * 0.5 - 0.25;
-        this.speedY = Math.random() * 0.5 - 0.25;
-        this.opacity = Math.random() * 0.5 + 0.2;
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+        return handler;
     }
 
-    update() {
-        this.x += this.speedX;
-        this.y += this.speedY;
+    // Run on destroy: unsubscribe functions, observer.disconnect(), closing streams...
+    add(cleanup) {
+        this.cleanups.push(cleanup);
+        return cleanup;
+    }
 
-        // Wrap around screen
-        if (this.x > this.canvas.width) this.x = 0;
-        if (this.x < 0) this.x = this.canvas.width;
-        if (this.y > this.canvas.height) this.y = 0;
-        if (this.y < 0) this.y = this.canvas.height;
+    observe(observer) {
+        this.add(() => observer.disconnect());
+        return observer;
     }
 
-    draw(ctx) {
-        ctx.fillStyle = `rgba(212, 165, 165, ${this.opacity})`;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
+    timeout(callback, ms = 0) {
+        return this.schedule({ kind: 'timeout', callback, ms });
     }
-}
 
-class ParticleSystem {
-    constructor(canvasId, particleCount = 80) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.particles = [];
-        this.particleCount = particleCount;
-        
-        this.init();
+    interval(callback, ms) {
+        return this.schedule({ kind: 'interval', callback, ms });
     }
 
-    init() {
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
-        
-        // Create particles
-        for (let i = 0; i < this.particleCount; i++) {
-            this.particles.push(new Particle(this.canvas));
-        }
-        
-        this.animate();
+    frame(callback) {
+        return this.schedule({ kind: 'frame', callback, ms: 0 });
     }
 
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+    // Cancels a timeout, interval or frame by the handle it returned
+    clear(handle) {
+        const timer = this.timers.get(handle);
+        if (!timer) return;
+
+        this.cancel(timer);
+        this.timers.delete(handle);
     }
 
-    animate() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Update and draw particles
-        this.particles.forEach(particle => {
-            particle.update();
-            particle.draw(this.ctx);
-        });
+    schedule(timer) {
+        const handle = this.nextHandle++;
+        timer.remaining = timer.ms;
+        this.timers.set(handle, timer);
+        if (!this.paused) this.start(handle, timer);
+        return handle;
+    }
 
-        // Draw connections
-        this.drawConnections();
-        
-        requestAnimationFrame(() => this.animate());
+    start(handle, timer) {
+        timer.due = performance.now() + timer.remaining;
+
+        if (timer.kind === 'frame') {
+            timer.native = requestAnimationFrame(time => {
+                this.timers.delete(handle);
+                timer.callback(time);
+            });
+        } else if (timer.kind === 'timeout') {
+            timer.native = setTimeout(() => {
+                this.timers.delete(handle);
+                timer.callback();
+            }, timer.remaining);
+        } else {
+            // Intervals are chained timeouts so a paused one resumes mid-period
+            timer.native = setTimeout(() => {
+                timer.remaining = timer.ms;
+                this.start(handle, timer);
+                timer.callback();
+            }, timer.remaining);
+        }
     }
 
-    drawConnections() {
-        const maxDistance = 120;
-        
-        for (let i = 0; i < this.particles.length; i++) {
-            for (let j = i + 1; j < this.particles.length; j++) {
-                const dx = this.particles[i].x - this.particles[j].x;
-                const dy = this.particles[i].y - this.particles[j].y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < maxDistance) {
-                    const opacity = (1 - distance / maxDistance) * 0.2;
-                    this.ctx.strokeStyle = `rgba(212, 165, 165, ${opacity})`;
-                    this.ctx.lineWidth = 0.5;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(this.particles[i].x, this.particles[i].y);
-                    this.ctx.lineTo(this.particles[j].x, this.particles[j].y);
-                    this.ctx.stroke();
-                }
-            }
+    cancel(timer) {
+        if (timer.kind === 'frame') {
+            cancelAnimationFrame(timer.native);
+        } else {
+            clearTimeout(timer.native);
         }
     }
 
-    updateColor(color) {
-        this.particles.forEach(particle => {
-            particle.color = color;
+    // Adds a node to the page and removes it on destroy; detach() when done with it earlier
+    attach(node, parent = this.root.body) {
+        parent.appendChild(node);
+        this.nodes.add(node);
+        node.classList.toggle('lifecycle-paused', this.paused);
+        return node;
+    }
+
+    detach(node) {
+        node.remove();
+        this.nodes.delete(node);
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+
+        const now = performance.now();
+        this.timers.forEach(timer => {
+            this.cancel(timer);
+            timer.remaining = Math.max(timer.due - now, 0);
         });
+        this.nodes.forEach(node => node.classList.add('lifecycle-paused'));
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+
+        this.timers.forEach((timer, handle) => this.start(handle, timer));
+        this.nodes.forEach(node => node.classList.remove('lifecycle-paused'));
+    }
+
+    // Leaves the lifecycle empty and usable again
+    destroy() {
+        this.timers.forEach(timer => this.cancel(timer));
+        this.timers.clear();
+        this.nodes.forEach(node => node.remove());
+        this.nodes.clear();
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this.paused = false;
+    }
+}
+
+// Base for everything the app starts: pause() freezes it, resume() carries on, destroy()
+// leaves nothing behind. Subclasses with more to undo extend destroy() and call super.
+class Controller {
+    constructor(root = pageRoot) {
+        this.root = root;
+        this.lifecycle = new Lifecycle(root);
+    }
+
+    pause() {
+        this.lifecycle.pause();
+    }
+
+    resume() {
+        this.lifecycle.resume();
+    }
+
+    destroy() {
+        this.lifecycle.destroy();
     }
 }
 
 // ================================
-// Music Control
+// Toast Notifications
 // ================================
 
-class MusicController {
-    constructor(audioId, buttonId) {
-        this.audio = document.getElementById(audioId);
-        this.button = document.getElementById(buttonId);
-        this.isPlaying = false;
-        
-        this.init();
+const TOAST_LEVELS = ['info', 'success', 'warning', 'error'];
+const TOAST_MAX_VISIBLE = 3;
+
+// Default time on screen per level; 0 keeps a toast until it is dismissed
+const TOAST_DURATIONS = {
+    info: 4000,
+    success: 4000,
+    warning: 6000,
+    error: 8000
+};
+
+class ToastCenter extends Controller {
+    constructor(root) {
+        super(root);
+        this.container = null;
+        this.visible = [];
+        this.queue = [];
+        this.nextId = 1;
     }
 
-    init() {
-        this.button.addEventListener('click', () => this.toggle());
+    // show('Saved!') or show('Music blocked', { level: 'warning', action: { label, onClick } }).
+    // Toasts sharing a key replace each other instead of stacking up.
+    show(message, options = {}) {
+        const toast = {
+            id: this.nextId++,
+            message,
+            level: TOAST_LEVELS.includes(options.level) ? options.level : 'info',
+            key: options.key || null,
+            action: options.action || null,
+            element: null,
+            timer: null,
+            remaining: 0
+        };
+        toast.duration = options.duration !== undefined
+            ? options.duration
+            : TOAST_DURATIONS[toast.level] + (toast.action ? 4000 : 0);
+
+        if (toast.key) {
+            this.queue = this.queue.filter(queued => queued.key !== toast.key);
+            const existing = this.visible.find(shown => shown.key === toast.key);
+            if (existing) this.dismiss(existing.id);
+        }
+
+        this.queue.push(toast);
+        this.flush();
+
+        return { id: toast.id, dismiss: () => this.dismiss(toast.id) };
     }
 
-    toggle() {
-        if (this.isPlaying) {
-            this.pause();
-        } else {
-            this.play();
+    info(message, options = {}) {
+        return this.show(message, { ...options, level: 'info' });
+    }
+
+    success(message, options = {}) {
+        return this.show(message, { ...options, level: 'success' });
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, { ...options, level: 'warning' });
+    }
+
+    error(message, options = {}) {
+        return this.show(message, { ...options, level: 'error' });
+    }
+
+    // Created on first use so toasts work before and after DOMContentLoaded
+    ensureContainer() {
+        if (this.container && this.container.isConnected) return this.container;
+
+        this.container = document.createElement('div');
+        this.container.className = 'toast-region';
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-label', 'Notifications');
+        this.container.setAttribute('aria-live', 'polite');
+        this.lifecycle.attach(this.container);
+        return this.container;
+    }
+
+    flush() {
+        while (this.visible.length < TOAST_MAX_VISIBLE && this.queue.length > 0) {
+            this.present(this.queue.shift());
         }
     }
 
-    play() {
-        this.audio.play().catch(error => {
-            console.log('Audio play prevented:', error);
-            this.showNotification('Please interact with the page to enable music');
+    present(toast) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${toast.level}`;
+        // Problems interrupt the screen reader; everything else waits its turn
+        element.setAttribute('role', toast.level === 'error' || toast.level === 'warning' ? 'alert' : 'status');
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        element.appendChild(message);
+
+        if (toast.action) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast-action';
+            action.textContent = toast.action.label;
+            action.addEventListener('click', () => {
+                toast.action.onClick();
+                this.dismiss(toast.id);
+            });
+            element.appendChild(action);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.dismiss(toast.id));
+        element.appendChild(close);
+
+        // Hold the countdown while the reader hovers or tabs into the toast
+        element.addEventListener('pointerenter', () => this.holdTimer(toast));
+        element.addEventListener('pointerleave', () => this.startTimer(toast));
+        element.addEventListener('focusin', () => this.holdTimer(toast));
+        element.addEventListener('focusout', () => this.startTimer(toast));
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.dismiss(toast.id);
         });
-        this.isPlaying = true;
-        this.button.classList.add('active');
-        state.musicPlaying = true;
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        this.visible.push(toast);
+        this.ensureContainer().appendChild(element);
+        this.startTimer(toast);
     }
 
-    pause() {
-        this.audio.pause();
-        this.isPlaying = false;
-        this.button.classList.remove('active');
-        state.musicPlaying = false;
+    startTimer(toast) {
+        if (!toast.duration || toast.timer) return;
+        toast.startedAt = Date.now();
+        toast.timer = this.lifecycle.timeout(() => this.dismiss(toast.id), toast.remaining);
+    }
+
+    holdTimer(toast) {
+        if (!toast.timer) return;
+        this.lifecycle.clear(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), 1000);
+    }
+
+    dismiss(id) {
+        this.queue = this.queue.filter(queued => queued.id !== id);
+
+        const toast = this.visible.find(shown => shown.id === id);
+        if (!toast) return;
+
+        this.lifecycle.clear(toast.timer);
+        this.visible = this.visible.filter(shown => shown !== toast);
+
+        const element = toast.element;
+        element.classList.add('toast-leaving');
+        element.addEventListener('animationend', () => element.remove(), { once: true });
+        this.lifecycle.timeout(() => element.remove(), 400); // In case animations are disabled
+
+        this.flush();
     }
 
-    showNotification(message) {
-        // Simple notification (could be enhanced with a toast system)
-        console.log(message);
+    clear() {
+        this.queue = [];
+        this.visible.slice().forEach(toast => this.dismiss(toast.id));
+    }
+
+    // Drops everything at once, region included; the next show() starts afresh
+    destroy() {
+        this.queue = [];
+        this.visible = [];
+        this.container = null;
+        super.destroy();
     }
 }
 
 // ================================
-// Theme Controller
+// Motion Policy & Announcements
 // ================================
 
-class ThemeController {
-    constructor(buttonId) {
-        this.button = document.getElementById(buttonId);
-        this.themes = ['romantic', 'vibrant'];
-        this.currentThemeIndex = 0;
-        
+// One answer to "should this move?" for every effect: the system reduced-motion
+// setting, or calm mode switched on from the control panel
+class MotionPolicy {
+    constructor() {
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.system = this.query.matches;
+        this.calm = false;
+        this.applied = false;
+        this.listeners = [];
+        this.bodies = new Set(); // The page's <body> and every mounted copy's stand-in
+
         this.init();
     }
 
     init() {
-        this.button.addEventListener('click', () => this.toggle());
+        const onChange = (e) => {
+            this.system = e.matches;
+            this.apply();
+        };
+        // Older Safari only has addListener
+        if (this.query.addEventListener) {
+            this.query.addEventListener('change', onChange);
+        } else if (this.query.addListener) {
+            this.query.addListener(onChange);
+        }
     }
 
-    toggle() {
-        this.currentThemeIndex = (this.currentThemeIndex + 1) % this.themes.length;
-        const newTheme = this.themes[this.currentThemeIndex];
-        this.applyTheme(newTheme);
-        this.animateTransition();
+    get reduced() {
+        return this.system || this.calm;
     }
 
-    applyTheme(theme) {
-        document.body.setAttribute('data-theme', theme);
-        state.currentTheme = theme;
-        
-        // Update button state
-        if (theme === 'vibrant') {
-            this.button.classList.add('active');
+    setCalm(enabled) {
+        this.calm = !!enabled;
+        this.apply();
+    }
+
+    // Keeps the reduced-effects class and transition variables on `body`; returns a remover
+    addBody(body) {
+        this.bodies.add(body);
+        this.applyTo(body, this.reduced);
+        return () => {
+            this.bodies.delete(body);
+            this.applyTo(body, false);
+        };
+    }
+
+    // Called with the new reduced state whenever it changes; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    apply() {
+        const reduced = this.reduced;
+        const changed = reduced !== this.applied;
+        this.applied = reduced;
+
+        this.bodies.forEach(body => this.applyTo(body, reduced));
+
+        if (changed) {
+            this.listeners.forEach(listener => listener(reduced));
+        }
+    }
+
+    applyTo(body, reduced) {
+        body.classList.toggle('reduced-effects', reduced);
+        if (reduced) {
+            body.style.setProperty('--transition-smooth', 'none');
+            body.style.setProperty('--transition-bounce', 'none');
         } else {
-            this.button.classList.remove('active');
+            body.style.removeProperty('--transition-smooth');
+            body.style.removeProperty('--transition-bounce');
         }
     }
+}
 
-    animateTransition() {
-        // Add transition effect
-        document.body.style.transition = 'all 0.8s cubic-bezier(0.4, 0, 0.2, 1)';
-        
-        // Create ripple effect
-        this.createRippleEffect();
-        
-        // Trigger re-animation of grid items
-        this.reanimateElements();
+const motion = new MotionPolicy();
+
+// Screen-reader only live region for things that are otherwise purely visual
+class Announcer extends Controller {
+    constructor(root) {
+        super(root);
+        this.region = null;
+        this.timer = null;
     }
 
-    createRippleEffect() {
-        const ripple = document.createElement('div');
-        ripple.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            width: 0;
-            height: 0;
-            border-radius: 50%;
-            background: ${state.currentTheme === 'vibrant' ? 'rgba(255, 107, 157, 0.3)' : 'rgba(212, 165, 165, 0.3)'};
-            transform: translate(-50%, -50%);
-            pointer-events: none;
-            z-index: 9999;
-            transition: all 1s cubic-bezier(0.4, 0, 0.2, 1);
-        `;
-        
-        document.body.appendChild(ripple);
-        
-        setTimeout(() => {
-            ripple.style.width = '200vmax';
-            ripple.style.height = '200vmax';
-            ripple.style.opacity = '0';
-        }, 10);
-        
-        setTimeout(() => {
-            ripple.remove();
-        }, 1000);
+    ensureRegion() {
+        if (this.region && this.region.isConnected) return this.region;
+
+        this.region = document.createElement('div');
+        this.region.className = 'sr-only';
+        this.region.setAttribute('aria-live', 'polite');
+        this.region.setAttribute('aria-atomic', 'true');
+        this.lifecycle.attach(this.region);
+        return this.region;
     }
 
-    reanimateElements() {
-        const gridItems = document.querySelectorAll('.grid-item');
-        
-        gridItems.forEach((item, index) => {
-            item.style.animation = 'none';
-            setTimeout(() => {
-                item.style.animation = '';
-            }, 10);
-        });
+    announce(message) {
+        const region = this.ensureRegion();
+
+        // Clear first so repeating the same words is still read out
+        region.textContent = '';
+        this.lifecycle.clear(this.timer);
+        this.timer = this.lifecycle.timeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    destroy() {
+        this.region = null;
+        super.destroy();
     }
 }
 
 // ================================
-// Floating Hearts Effect
+// Event Bus
 // ================================
 
-class FloatingHeartsEffect {
+// Each copy of the app has one bus (root.events). Built-in events, with their detail:
+//   app:ready { app }, app:pause, app:resume, app:dispose
+//   celebration:start, celebration:end, fireworks:launch, tree:grown { tree }
+//   theme:change { theme, previous }, music:play { track }, music:pause
+//   birthday:arrive, cake:wish, scene:change { id, index }, secret:found { id, isNew }
+//   wish:added { wish }, effect:run { name }
+// Plugins may emit their own, ideally prefixed with the plugin name.
+class EventBus {
     constructor() {
-        this.hearts = ['♥', '♡', '❤', '💕', '💖'];
-        this.interval = null;
+        this.handlers = new Map(); // type -> [handler]
     }
 
-    start() {
-        this.createHeart();
-        this.interval = setInterval(() => this.createHeart(), 2000);
+    // handler(detail, type); returns an unsubscribe function
+    on(type, handler) {
+        this.handlers.set(type, (this.handlers.get(type) || []).concat(handler));
+        return () => this.off(type, handler);
     }
 
-    createHeart() {
-        const heart = document.createElement('div');
-        const heartSymbol = this.hearts[Math.floor(Math.random() * this.hearts.length)];
-        
-        heart.textContent = heartSymbol;
-        heart.style.cssText = `
-            position: fixed;
-            font-size: ${Math.random() * 20 + 20}px;
-            color: var(--accent-primary);
-            opacity: 0;
-            pointer-events: none;
-            z-index: 999;
-            left: ${Math.random() * 100}vw;
-            bottom: -50px;
-            animation: floatUp ${Math.random() * 3 + 4}s ease-in-out forwards;
-        `;
-        
-        document.body.appendChild(heart);
-        
-        setTimeout(() => {
-            heart.remove();
-        }, 7000);
+    once(type, handler) {
+        const off = this.on(type, (detail, eventType) => {
+            off();
+            handler(detail, eventType);
+        });
+        return off;
     }
 
-    stop() {
-        if (this.interval) {
-            clearInterval(this.interval);
+    off(type, handler) {
+        const remaining = (this.handlers.get(type) || []).filter(other => other !== handler);
+        if (remaining.length) {
+            this.handlers.set(type, remaining);
+        } else {
+            this.handlers.delete(type);
         }
     }
+
+    // A failing handler (often plugin code) is logged and doesn't stop the others
+    emit(type, detail = {}) {
+        (this.handlers.get(type) || []).forEach(handler => {
+            try {
+                handler(detail, type);
+            } catch (error) {
+                console.warn(`Handler for "${type}" failed:`, error);
+            }
+        });
+    }
+
+    clear() {
+        this.handlers.clear();
+    }
 }
 
 // ================================
-// Dynamic Love Tree Creator
+// App Root
 // ================================
 
-class LoveTreeCreator {
-    constructor(buttonId) {
-        this.button = document.getElementById(buttonId);
-        this.currentTree = null;
-        this.isGrowing = false;
-        this.treeCount = 0;
-        this.maxTrees = 3; // Maximum number of trees on screen
-        this.activeTrees = [];
-        
-        this.init();
+// Where one running copy of the app lives: the page itself, or a shadow root made by
+// mountBirthday(). Controllers find their markup, add nodes, listen for keys and measure
+// the stage through their root instead of assuming they own the document.
+class AppRoot {
+    // node: the document or a ShadowRoot; host: the element a shadow root hangs off;
+    // body: the element standing in for <body> inside a shadow root
+    constructor(node = document, host = null, body = null) {
+        this.node = node;
+        this.host = host;
+        this.container = body;
+        this.state = host ? { musicPlaying: false, currentTheme: 'romantic', particles: [], config: null } : state;
+        this.app = null; // The public API object (window.birthdayApp for the page)
+        this.events = new EventBus();
+        this.toasts = new ToastCenter(this);
+        this.announcer = new Announcer(this);
     }
 
-    init() {
-        this.button.addEventListener('click', () => this.handleClick());
+    get isPage() {
+        return !this.host;
     }
 
-    handleClick() {
-        if (this.isGrowing) return;
-        
-        // Remove oldest tree if at max capacity
-        if (this.activeTrees.length >= this.maxTrees) {
-            this.removeOldestTree();
-        }
-        
-        this.createTree();
+    // Page classes and data attributes go here, and so do nodes controllers add
+    get body() {
+        return this.container || document.body;
     }
 
-    createTree() {
-        this.isGrowing = true;
-        this.button.classList.add('active');
-        
-        const tree = document.createElement('div');
-        tree.className = 'dynamic-love-tree';
-        
-        // Random position at bottom of screen
+    // Holds the theme's CSS variables: :root on the page, :host in a mount
+    get rootElement() {
+        return this.host || document.documentElement;
+    }
+
+    get scroller() {
+        return this.isPage ? (document.scrollingElement || document.documentElement) : this.container;
+    }
+
+    get activeElement() {
+        return this.node.activeElement;
+    }
+
+    // Size of the stage the fixed layers (canvases, trees, banners) cover
+    get width() {
+        return this.isPage ? window.innerWidth : this.host.clientWidth;
+    }
+
+    get height() {
+        return this.isPage ? window.innerHeight : this.host.clientHeight;
+    }
+
+    byId(id) {
+        return this.node.getElementById(id);
+    }
+
+    query(selector) {
+        return this.node.querySelector(selector);
+    }
+
+    queryAll(selector) {
+        return this.node.querySelectorAll(selector);
+    }
+
+    // Viewport coordinates (clientX/clientY) to coordinates on the stage
+    localPoint(x, y) {
+        if (this.isPage) return { x, y };
+        const rect = this.host.getBoundingClientRect();
+        return { x: x - rect.left, y: y - rect.top };
+    }
+
+    // Calls back whenever the stage changes size, for as long as `lifecycle` lives
+    watchSize(lifecycle, callback) {
+        if (this.isPage || !('ResizeObserver' in window)) {
+            lifecycle.listen(window, 'resize', callback);
+            return;
+        }
+        lifecycle.observe(new ResizeObserver(callback)).observe(this.host);
+    }
+
+    destroy() {
+        this.toasts.destroy();
+        this.announcer.destroy();
+        this.events.clear();
+    }
+}
+
+const pageRoot = new AppRoot();
+
+// ================================
+// Theme Registry
+// ================================
+
+// Every CSS variable a theme must provide (defaults live in :root in style.css)
+const THEME_VARIABLES = [
+    '--bg-primary', '--bg-secondary', '--text-primary', '--text-secondary',
+    '--accent-primary', '--accent-secondary', '--accent-highlight',
+    '--shadow-color', '--shadow-strong', '--surface', '--surface-border', '--control-bg',
+    '--love-message-color', '--love-message-glow', '--banner-bg',
+    '--carousel-shadow', '--carousel-shadow-hover'
+];
+
+const THEME_PALETTES = ['firework', 'confetti', 'hearts'];
+
+class ThemeRegistry {
+    constructor() {
+        this.themes = new Map();
+        this.defaultTheme = 'romantic';
+    }
+
+    // `extends` copies variables and palettes from an already registered theme.
+    // Throws with a readable message when the definition is incomplete.
+    register(name, definition) {
+        const base = definition && definition.extends ? this.themes.get(definition.extends) : null;
+        if (definition && definition.extends && !base) {
+            throw new Error(`unknown base theme "${definition.extends}"`);
+        }
+
+        const theme = {
+            name,
+            label: (definition && definition.label) || name,
+            variables: Object.assign({}, base && base.variables, definition && definition.variables),
+            palettes: Object.assign({}, base && base.palettes, definition && definition.palettes)
+        };
+
+        const problem = this.validate(name, theme);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        this.themes.set(name, theme);
+        return theme;
+    }
+
+    validate(name, theme) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            return 'name must be a non-empty string';
+        }
+
+        const missing = THEME_VARIABLES.filter(variable => typeof theme.variables[variable] !== 'string');
+        if (missing.length) {
+            return `missing variables ${missing.join(', ')}`;
+        }
+
+        const particle = theme.palettes.particle;
+        if (!Array.isArray(particle) || particle.length !== 3 ||
+            particle.some(channel => typeof channel !== 'number' || channel < 0 || channel > 255)) {
+            return 'palettes.particle must be an [r, g, b] array';
+        }
+
+        for (const palette of THEME_PALETTES) {
+            const colors = theme.palettes[palette];
+            if (!Array.isArray(colors) || colors.length === 0 || colors.some(color => typeof color !== 'string')) {
+                return `palettes.${palette} must be a non-empty array of colors`;
+            }
+        }
+
+        return null;
+    }
+
+    has(name) {
+        return this.themes.has(name);
+    }
+
+    get(name) {
+        return this.themes.get(name) || this.themes.get(this.defaultTheme);
+    }
+
+    names() {
+        return Array.from(this.themes.keys());
+    }
+}
+
+const themeRegistry = new ThemeRegistry();
+
+themeRegistry.register('romantic', {
+    label: 'Romantic',
+    variables: {
+        '--bg-primary': '#faf8f5',
+        '--bg-secondary': '#f5f0eb',
+        '--text-primary': '#2a2522',
+        '--text-secondary': '#6b5d57',
+        '--accent-primary': '#d4a5a5',
+        '--accent-secondary': '#9d7b7b',
+        '--accent-highlight': '#e8b4b8',
+        '--shadow-color': 'rgba(42, 37, 34, 0.08)',
+        '--shadow-strong': 'rgba(42, 37, 34, 0.15)',
+        '--surface': 'rgba(255, 255, 255, 0.6)',
+        '--surface-border': 'rgba(212, 165, 165, 0.2)',
+        '--control-bg': 'rgba(255, 255, 255, 0.95)',
+        '--love-message-color': '#c9a0dc',
+        '--love-message-glow': 'rgba(201, 160, 220, 0.3)',
+        '--banner-bg': 'linear-gradient(135deg, rgba(255, 255, 255, 0.95), rgba(255, 255, 255, 0.85))',
+        '--carousel-shadow': 'rgba(42, 37, 34, 0.08)',
+        '--carousel-shadow-hover': 'rgba(42, 37, 34, 0.15)'
+    },
+    palettes: {
+        particle: [212, 165, 165],
+        firework: [
+            '#ff6b9d', '#ffd700', '#00ff00', '#00bfff',
+            '#ff69b4', '#ff1493', '#ff4500', '#9370db',
+            '#00fa9a', '#ffa500', '#ff6347', '#7fff00'
+        ],
+        confetti: ['#ff6b9d', '#ffd700', '#00ff00', '#00bfff', '#ff69b4', '#ff1493', '#9370db'],
+        hearts: ['#ff69b4', '#d4a5a5', '#e8b4b8']
+    }
+});
+
+themeRegistry.register('vibrant', {
+    label: 'Vibrant',
+    extends: 'romantic',
+    variables: {
+        '--bg-primary': '#1a1625',
+        '--bg-secondary': '#2a2438',
+        '--text-primary': '#f5f0eb',
+        '--text-secondary': '#c4b5b0',
+        '--accent-primary': '#ff6b9d',
+        '--accent-secondary': '#c44569',
+        '--accent-highlight': '#ffa07a',
+        '--shadow-color': 'rgba(255, 107, 157, 0.2)',
+        '--shadow-strong': 'rgba(255, 107, 157, 0.4)',
+        '--surface': 'rgba(42, 36, 56, 0.4)',
+        '--surface-border': 'rgba(255, 107, 157, 0.3)',
+        '--control-bg': 'rgba(42, 36, 56, 0.9)',
+        '--love-message-color': '#ffd89b',
+        '--love-message-glow': 'rgba(255, 216, 155, 0.4)',
+        '--banner-bg': 'linear-gradient(135deg, rgba(42, 36, 56, 0.95), rgba(42, 36, 56, 0.85))',
+        '--carousel-shadow': 'rgba(255, 107, 157, 0.3)',
+        '--carousel-shadow-hover': 'rgba(255, 107, 157, 0.5)'
+    },
+    palettes: {
+        particle: [255, 107, 157],
+        hearts: ['#ff6b9d', '#ff69b4', '#ffa07a']
+    }
+});
+
+themeRegistry.register('midnight', {
+    label: 'Midnight',
+    variables: {
+        '--bg-primary': '#0f1424',
+        '--bg-secondary': '#1a2138',
+        '--text-primary': '#e8ecf7',
+        '--text-secondary': '#a3acc7',
+        '--accent-primary': '#8fa8ff',
+        '--accent-secondary': '#5a6fd6',
+        '--accent-highlight': '#c9b8ff',
+        '--shadow-color': 'rgba(0, 0, 0, 0.3)',
+        '--shadow-strong': 'rgba(143, 168, 255, 0.35)',
+        '--surface': 'rgba(26, 33, 56, 0.55)',
+        '--surface-border': 'rgba(143, 168, 255, 0.25)',
+        '--control-bg': 'rgba(26, 33, 56, 0.9)',
+        '--love-message-color': '#c9b8ff',
+        '--love-message-glow': 'rgba(201, 184, 255, 0.4)',
+        '--banner-bg': 'linear-gradient(135deg, rgba(26, 33, 56, 0.95), rgba(15, 20, 36, 0.9))',
+        '--carousel-shadow': 'rgba(0, 0, 0, 0.35)',
+        '--carousel-shadow-hover': 'rgba(143, 168, 255, 0.35)'
+    },
+    palettes: {
+        particle: [180, 195, 255],
+        firework: ['#8fa8ff', '#c9b8ff', '#ffffff', '#7fdbff', '#b39ddb', '#4fc3f7'],
+        confetti: ['#8fa8ff', '#c9b8ff', '#ffffff', '#7fdbff', '#ffd700'],
+        hearts: ['#c9b8ff', '#8fa8ff', '#ff9ecd']
+    }
+});
+
+themeRegistry.register('pastel', {
+    label: 'Pastel',
+    extends: 'romantic',
+    variables: {
+        '--bg-primary': '#fdf7fb',
+        '--bg-secondary': '#f3eefa',
+        '--text-primary': '#3d3a4a',
+        '--text-secondary': '#7a7490',
+        '--accent-primary': '#b8a4e3',
+        '--accent-secondary': '#8c79c4',
+        '--accent-highlight': '#a8e6cf',
+        '--shadow-color': 'rgba(61, 58, 74, 0.08)',
+        '--shadow-strong': 'rgba(61, 58, 74, 0.15)',
+        '--surface-border': 'rgba(184, 164, 227, 0.25)',
+        '--love-message-color': '#f4a6c1',
+        '--love-message-glow': 'rgba(244, 166, 193, 0.35)',
+        '--carousel-shadow': 'rgba(61, 58, 74, 0.08)',
+        '--carousel-shadow-hover': 'rgba(61, 58, 74, 0.15)'
+    },
+    palettes: {
+        particle: [184, 164, 227],
+        firework: ['#ffb3c6', '#b8a4e3', '#a8e6cf', '#ffd3b6', '#bde0fe', '#fdffb6'],
+        confetti: ['#ffb3c6', '#b8a4e3', '#a8e6cf', '#ffd3b6', '#bde0fe'],
+        hearts: ['#ffb3c6', '#f4a6c1', '#b8a4e3']
+    }
+});
+
+themeRegistry.register('gold', {
+    label: 'Gold',
+    variables: {
+        '--bg-primary': '#1c1710',
+        '--bg-secondary': '#2a2218',
+        '--text-primary': '#f7efe0',
+        '--text-secondary': '#cbbd9f',
+        '--accent-primary': '#d4af37',
+        '--accent-secondary': '#a8832a',
+        '--accent-highlight': '#f5d67b',
+        '--shadow-color': 'rgba(0, 0, 0, 0.3)',
+        '--shadow-strong': 'rgba(212, 175, 55, 0.35)',
+        '--surface': 'rgba(42, 34, 24, 0.5)',
+        '--surface-border': 'rgba(212, 175, 55, 0.3)',
+        '--control-bg': 'rgba(42, 34, 24, 0.9)',
+        '--love-message-color': '#f5d67b',
+        '--love-message-glow': 'rgba(245, 214, 123, 0.4)',
+        '--banner-bg': 'linear-gradient(135deg, rgba(42, 34, 24, 0.95), rgba(28, 23, 16, 0.9))',
+        '--carousel-shadow': 'rgba(212, 175, 55, 0.25)',
+        '--carousel-shadow-hover': 'rgba(212, 175, 55, 0.45)'
+    },
+    palettes: {
+        particle: [212, 175, 55],
+        firework: ['#d4af37', '#f5d67b', '#fff4d6', '#ffb347', '#e6c56e'],
+        confetti: ['#d4af37', '#f5d67b', '#fff4d6', '#c0c0c0', '#ffb347'],
+        hearts: ['#f5d67b', '#d4af37', '#ff8c69']
+    }
+});
+
+// Palette of the active theme, e.g. getPalette('firework', this.root.state)
+function getPalette(name, appState = state) {
+    return themeRegistry.get(appState.currentTheme).palettes[name];
+}
+
+function pickColor(colors) {
+    return colors[Math.floor(Math.random() * colors.length)];
+}
+
+// ================================
+// Configuration
+// ================================
+
+// Built-in defaults, used when config.json is missing a field
+const DEFAULT_CONFIG = {
+    pageTitle: 'Happy Birthday Pookiee',
+    recipient: 'Pookie',
+    sender: 'Santanu',
+    theme: 'romantic',
+    hero: {
+        greeting: 'Happy',
+        title: 'Birthday {recipient}♥',
+        loveMessage: 'With all the Love Form {sender}<3',
+        subtitle: "The moon is beautiful isn't it?"
+    },
+    message: {
+        text: 'Today we celebrate you—your grace, your light, and all the beautiful moments you bring into this world.',
+        signature: 'With all my love'
+    },
+    gallery: [
+        { category: 'cake', label: 'Sweetness', alt: 'Celebration cake', images: ['p4.jpg', 'p5.jpg'] },
+        { category: 'chocolate', label: 'Indulgence', alt: 'Delicious chocolates', images: ['p2.jpg', 'p5.jpg'] },
+        { category: 'love', label: 'Devotion', alt: 'Love and celebration', images: ['p3.jpg', 'p5.jpg'] }
+    ],
+    audio: {
+        src: 'music.mp3',
+        playlist: null,
+        crossfade: 2
+    },
+    letter: {
+        text: null,
+        salutation: 'My dearest {recipient},',
+        signature: 'Forever yours, {sender}',
+        speed: 40
+    },
+    timeline: {
+        title: 'Our Story',
+        entries: []
+    },
+    cake: {
+        enabled: true,
+        category: 'cake',
+        age: null,
+        message: 'Make a wish — every single one of them is yours. ♥'
+    },
+    messages: {
+        title: 'Messages from friends',
+        clips: []
+    },
+    guestbook: {
+        enabled: true,
+        storage: 'local',
+        endpoint: null,
+        maxLength: 280,
+        emojis: ['🎂', '🎉', '💖', '🌸', '🥂', '✨']
+    },
+    shortcuts: {
+        music: 'm',
+        theme: 't',
+        tree: 'g',
+        celebrate: 'c',
+        gallery: 'p',
+        nextPhoto: ']',
+        previousPhoto: '[',
+        help: '?',
+        palette: 'mod+k'
+    },
+    scenes: {
+        enabled: false,
+        list: [
+            { id: 'intro', title: 'Welcome', transition: 'fade', effects: ['hearts'] },
+            { id: 'countdown', title: 'Countdown', transition: 'fade' },
+            { id: 'letter', title: 'A letter', transition: 'slide' },
+            { id: 'gallery', title: 'Memories', transition: 'slide' },
+            { id: 'finale', title: 'Finale', transition: 'zoom', effects: ['tree', 'celebrate'] }
+        ]
+    },
+    secrets: [
+        {
+            id: 'konami',
+            type: 'keys',
+            keys: ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'],
+            effect: 'celebrate'
+        }
+    ],
+    birthday: {
+        date: null,
+        timezone: null,
+        belatedDays: 30,
+        belatedGreeting: 'Happy Belated',
+        countdownTitle: "Counting down to {recipient}'s birthday"
+    },
+    images: {
+        // Path of the manifest tools/build-images.js writes; null serves the original files
+        manifest: null
+    }
+};
+
+// Every field the page reads from the configuration
+const CONFIG_SCHEMA = [
+    { path: 'pageTitle', type: 'string' },
+    { path: 'recipient', type: 'string' },
+    { path: 'sender', type: 'string' },
+    { path: 'theme', type: 'theme' },
+    { path: 'hero.greeting', type: 'string' },
+    { path: 'hero.title', type: 'string' },
+    { path: 'hero.loveMessage', type: 'string' },
+    { path: 'hero.subtitle', type: 'string' },
+    { path: 'message.text', type: 'string' },
+    { path: 'message.signature', type: 'string' },
+    { path: 'gallery', type: 'gallery' },
+    { path: 'audio.src', type: 'string', optional: true },
+    { path: 'audio.playlist', type: 'playlist', optional: true },
+    { path: 'audio.crossfade', type: 'number', optional: true },
+    { path: 'letter.text', type: 'string', optional: true },
+    { path: 'letter.salutation', type: 'string', optional: true },
+    { path: 'letter.signature', type: 'string', optional: true },
+    { path: 'letter.speed', type: 'number', optional: true },
+    { path: 'timeline.title', type: 'string', optional: true },
+    { path: 'timeline.entries', type: 'timeline', optional: true },
+    { path: 'cake.enabled', type: 'boolean', optional: true },
+    { path: 'cake.category', type: 'string', optional: true },
+    { path: 'cake.age', type: 'number', optional: true },
+    { path: 'cake.message', type: 'string', optional: true },
+    { path: 'messages.title', type: 'string', optional: true },
+    { path: 'messages.clips', type: 'clips', optional: true },
+    { path: 'guestbook.enabled', type: 'boolean', optional: true },
+    { path: 'guestbook.storage', type: 'guestbookStorage', optional: true },
+    { path: 'guestbook.endpoint', type: 'string', optional: true },
+    { path: 'guestbook.maxLength', type: 'number', optional: true },
+    { path: 'guestbook.emojis', type: 'emojis', optional: true },
+    { path: 'shortcuts', type: 'shortcuts', optional: true },
+    { path: 'scenes.enabled', type: 'boolean', optional: true },
+    { path: 'secrets', type: 'secrets', optional: true },
+    { path: 'scenes.list', type: 'scenes', optional: true },
+    { path: 'birthday.date', type: 'date', optional: true },
+    { path: 'birthday.timezone', type: 'timezone', optional: true },
+    // Under a year, so one birthday's belated days never reach the next birthday
+    { path: 'birthday.belatedDays', type: 'number', optional: true, max: 364 },
+    { path: 'birthday.belatedGreeting', type: 'string', optional: true },
+    { path: 'birthday.countdownTitle', type: 'string', optional: true },
+    { path: 'images.manifest', type: 'string', optional: true }
+];
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => {
+        if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+        return node[key];
+    }, object);
+    target[last] = value;
+}
+
+// "YYYY", "YYYY-MM" or "YYYY-MM-DD" naming a real day: no month 13, no April 31st
+function isCalendarDate(text) {
+    const match = typeof text === 'string' && text.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return false;
+
+    const year = +match[1];
+    const month = match[2] ? +match[2] : 1;
+    const day = match[3] ? +match[3] : 1;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Replace {recipient} and {sender} placeholders with configured names
+function formatTemplate(text, config) {
+    return text.replace(/\{(recipient|sender)\}/g, (match, key) => config[key]);
+}
+
+class ConfigLoader {
+    constructor(options = {}) {
+        this.url = options.url || 'config.json';
+        this.scriptId = options.scriptId || 'birthdayConfig';
+        this.source = options.config || null; // A config object handed over directly
+        this.root = options.root || pageRoot;
+        this.errors = [];
+    }
+
+    async load() {
+        const raw = await this.readSource();
+        const config = this.validate(raw);
+        return { config, errors: this.errors };
+    }
+
+    async readSource() {
+        if (this.source) return this.source;
+
+        // An embedded <script type="application/json"> takes priority over config.json
+        const embedded = this.root.byId(this.scriptId);
+        if (embedded) {
+            try {
+                return JSON.parse(embedded.textContent);
+            } catch (error) {
+                this.errors.push(`Embedded configuration is not valid JSON: ${error.message}`);
+                return null;
+            }
+        }
+
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            this.errors.push(`Could not load ${this.url} (${error.message}); using built-in defaults`);
+            return null;
+        }
+    }
+
+    validate(raw) {
+        const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+        if (raw === null) return config;
+
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            this.errors.push('Configuration must be a JSON object');
+            return config;
+        }
+
+        // Custom themes are registered first so "theme" can refer to them
+        if (raw.themes !== undefined) {
+            this.registerThemes(raw.themes);
+        }
+
+        CONFIG_SCHEMA.forEach(field => {
+            const value = getPath(raw, field.path);
+            if (field.optional && (value === undefined || value === null)) return;
+            if (value === undefined) {
+                this.errors.push(`"${field.path}" is missing`);
+                return;
+            }
+
+            const problem = this.checkField(field, value);
+            if (problem) {
+                this.errors.push(`"${field.path}" ${problem}`);
+                return;
+            }
+
+            setPath(config, field.path, value);
+        });
+
+        // An HTTP guestbook has nowhere to go without an endpoint
+        if (config.guestbook.storage === 'http' && !config.guestbook.endpoint) {
+            this.errors.push('"guestbook.endpoint" is required when "guestbook.storage" is "http"; using local storage');
+            config.guestbook.storage = 'local';
+        }
+
+        // Carry over any extra sections the schema doesn't know about yet
+        Object.keys(raw).forEach(key => {
+            if (!(key in config)) config[key] = raw[key];
+        });
+
+        return config;
+    }
+
+    registerThemes(themes) {
+        if (typeof themes !== 'object' || themes === null || Array.isArray(themes)) {
+            this.errors.push('"themes" must be an object of theme definitions');
+            return;
+        }
+
+        Object.keys(themes).forEach(name => {
+            try {
+                themeRegistry.register(name, themes[name]);
+            } catch (error) {
+                this.errors.push(`"themes.${name}" ${error.message}`);
+            }
+        });
+    }
+
+    checkField(field, value) {
+        if (field.type === 'theme') {
+            if (!themeRegistry.has(value)) {
+                return `must be one of: ${themeRegistry.names().join(', ')}`;
+            }
+            return null;
+        }
+
+        if (field.type === 'string') {
+            if (typeof value !== 'string' || value.trim() === '') {
+                return 'must be a non-empty string';
+            }
+            if (field.oneOf && !field.oneOf.includes(value)) {
+                return `must be one of: ${field.oneOf.join(', ')}`;
+            }
+            return null;
+        }
+
+        if (field.type === 'boolean') {
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        }
+
+        if (field.type === 'number') {
+            if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+                return 'must be a non-negative number';
+            }
+            if (field.max !== undefined && value > field.max) {
+                return `must be at most ${field.max}`;
+            }
+            return null;
+        }
+
+        if (field.type === 'date') {
+            // Full birth date (YYYY-MM-DD) or just the day (MM-DD); without a year,
+            // February 29th is allowed
+            const match = typeof value === 'string' && value.match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+            const daysInMonth = match ? new Date(Date.UTC(match[1] ? +match[1] : 2000, +match[2], 0)).getUTCDate() : 0;
+            if (!match || +match[2] < 1 || +match[2] > 12 || +match[3] < 1 || +match[3] > daysInMonth) {
+                return 'must be a date like "1999-03-14" or "03-14"';
+            }
+            return null;
+        }
+
+        if (field.type === 'timezone') {
+            try {
+                if (typeof value !== 'string') throw new TypeError();
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+            } catch (error) {
+                return 'must be an IANA time zone such as "Asia/Kolkata"';
+            }
+            return null;
+        }
+
+        if (field.type === 'playlist') {
+            if (!Array.isArray(value) || value.length === 0) {
+                return 'must be a non-empty array of tracks';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const track = value[i];
+                if (typeof track !== 'object' || track === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (typeof track.src !== 'string' || track.src.trim() === '') {
+                    return `[${i}].src must be a non-empty string`;
+                }
+                if (typeof track.title !== 'string' || track.title.trim() === '') {
+                    return `[${i}].title must be a non-empty string`;
+                }
+                if (track.artist !== undefined && typeof track.artist !== 'string') {
+                    return `[${i}].artist must be a string`;
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'clips') {
+            if (!Array.isArray(value)) {
+                return 'must be an array of clips';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const clip = value[i];
+                if (typeof clip !== 'object' || clip === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (!MEDIA_CLIP_TYPES.includes(clip.type)) {
+                    return `[${i}].type must be one of ${MEDIA_CLIP_TYPES.join(', ')}`;
+                }
+                if (typeof clip.src !== 'string' || clip.src.trim() === '') {
+                    return `[${i}].src must be a non-empty string`;
+                }
+                if (typeof clip.from !== 'string' || clip.from.trim() === '') {
+                    return `[${i}].from must be a non-empty string`;
+                }
+                for (const key of ['title', 'poster']) {
+                    if (clip[key] !== undefined && typeof clip[key] !== 'string') {
+                        return `[${i}].${key} must be a string`;
+                    }
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'guestbookStorage') {
+            return ['local', 'http'].includes(value) ? null : 'must be "local" or "http"';
+        }
+
+        if (field.type === 'emojis') {
+            if (!Array.isArray(value) || value.length === 0 ||
+                value.some(emoji => typeof emoji !== 'string' || emoji.trim() === '')) {
+                return 'must be a non-empty array of emoji';
+            }
+            return null;
+        }
+
+        if (field.type === 'shortcuts') {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return 'must be an object of command: key';
+            }
+            for (const command of Object.keys(value)) {
+                if (!SHORTCUT_COMMANDS[command]) {
+                    return `has unknown command "${command}" (known: ${Object.keys(SHORTCUT_COMMANDS).join(', ')})`;
+                }
+                // null or "" switches a shortcut off
+                if (value[command] !== null && typeof value[command] !== 'string') {
+                    return `.${command} must be a key like "m" or "ctrl+k", or null`;
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'scenes') {
+            if (!Array.isArray(value) || value.length === 0) {
+                return 'must be a non-empty array of scenes';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const scene = value[i];
+                if (typeof scene !== 'object' || scene === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (typeof scene.id !== 'string' || scene.id.trim() === '') {
+                    return `[${i}].id must be a non-empty string`;
+                }
+                if (scene.title !== undefined && typeof scene.title !== 'string') {
+                    return `[${i}].title must be a string`;
+                }
+                if (scene.transition !== undefined && !SCENE_TRANSITIONS.includes(scene.transition)) {
+                    return `[${i}].transition must be one of ${SCENE_TRANSITIONS.join(', ')}`;
+                }
+                if (scene.effects !== undefined &&
+                    (!Array.isArray(scene.effects) || scene.effects.some(name => !knownEffects().includes(name)))) {
+                    return `[${i}].effects must be a list of ${knownEffects().join(', ')}`;
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'secrets') {
+            if (!Array.isArray(value)) {
+                return 'must be an array of secrets';
+            }
+            const ids = new Set();
+            for (let i = 0; i < value.length; i++) {
+                const secret = value[i];
+                if (typeof secret !== 'object' || secret === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (typeof secret.id !== 'string' || secret.id.trim() === '') {
+                    return `[${i}].id must be a non-empty string`;
+                }
+                if (ids.has(secret.id)) {
+                    return `[${i}].id "${secret.id}" is used twice`;
+                }
+                ids.add(secret.id);
+                if (!SECRET_TYPES.includes(secret.type)) {
+                    return `[${i}].type must be one of ${SECRET_TYPES.join(', ')}`;
+                }
+                if (secret.type === 'keys' &&
+                    (!Array.isArray(secret.keys) || secret.keys.length === 0 || secret.keys.some(key => typeof key !== 'string' || key === ''))) {
+                    return `[${i}].keys must be a non-empty list of key names`;
+                }
+                if (secret.type === 'word' && (typeof secret.word !== 'string' || secret.word.trim() === '')) {
+                    return `[${i}].word must be a non-empty string`;
+                }
+                if ((secret.type === 'taps' || secret.type === 'longpress') &&
+                    (typeof secret.target !== 'string' || secret.target.trim() === '')) {
+                    return `[${i}].target must be a CSS selector`;
+                }
+                if (secret.type === 'taps' && (!Number.isInteger(secret.count) || secret.count < 2)) {
+                    return `[${i}].count must be a whole number of at least 2`;
+                }
+                if (secret.duration !== undefined && (typeof secret.duration !== 'number' || secret.duration < 300)) {
+                    return `[${i}].duration must be at least 300 milliseconds`;
+                }
+                if (secret.effect !== undefined && !knownEffects().includes(secret.effect)) {
+                    return `[${i}].effect must be one of ${knownEffects().join(', ')}`;
+                }
+                if (secret.message !== undefined && typeof secret.message !== 'string') {
+                    return `[${i}].message must be a string`;
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'timeline') {
+            if (!Array.isArray(value)) {
+                return 'must be an array of entries';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const entry = value[i];
+                if (typeof entry !== 'object' || entry === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (!isCalendarDate(entry.date)) {
+                    return `[${i}].date must be a date like "2021-06-14", "2021-06" or "2021"`;
+                }
+                if (typeof entry.title !== 'string' || entry.title.trim() === '') {
+                    return `[${i}].title must be a non-empty string`;
+                }
+                if (entry.text !== undefined && typeof entry.text !== 'string') {
+                    return `[${i}].text must be a string`;
+                }
+                if (entry.photo !== undefined) {
+                    const problem = this.checkPhoto(entry.photo);
+                    if (problem) return `[${i}].photo ${problem}`;
+                }
+            }
+            return null;
+        }
+
+        if (field.type === 'gallery') {
+            if (!Array.isArray(value) || value.length === 0) {
+                return 'must be a non-empty array';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const entry = value[i];
+                if (typeof entry !== 'object' || entry === null) {
+                    return `[${i}] must be an object`;
+                }
+                if (typeof entry.category !== 'string' || entry.category.trim() === '') {
+                    return `[${i}].category must be a non-empty string`;
+                }
+                if (typeof entry.label !== 'string') {
+                    return `[${i}].label must be a string`;
+                }
+                if (entry.alt !== undefined && typeof entry.alt !== 'string') {
+                    return `[${i}].alt must be a string`;
+                }
+                if (!Array.isArray(entry.images) || entry.images.length === 0) {
+                    return `[${i}].images must be a non-empty array of photos`;
+                }
+                for (let j = 0; j < entry.images.length; j++) {
+                    const problem = this.checkPhoto(entry.images[j]);
+                    if (problem) return `[${i}].images[${j}] ${problem}`;
+                }
+            }
+            return null;
+        }
+
+        return null;
+    }
+
+    // A photo is a file name or { src, caption?, date?, alt? }
+    checkPhoto(photo) {
+        if (typeof photo === 'string') {
+            return photo.trim() === '' ? 'must not be empty' : null;
+        }
+        if (typeof photo !== 'object' || photo === null) {
+            return 'must be a file name or an object with a src';
+        }
+        if (typeof photo.src !== 'string' || photo.src.trim() === '') {
+            return '.src must be a non-empty string';
+        }
+        for (const key of ['caption', 'alt']) {
+            if (photo[key] !== undefined && typeof photo[key] !== 'string') {
+                return `.${key} must be a string`;
+            }
+        }
+        if (photo.date !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(photo.date) && isCalendarDate(photo.date))) {
+            return '.date must be a date like "2023-02-14"';
+        }
+        return null;
+    }
+
+    // Returns the panel so the app can take it down again on dispose
+    showErrors(errors) {
+        if (errors.length === 0) return null;
+
+        const panel = document.createElement('div');
+        panel.className = 'config-errors';
+        panel.setAttribute('role', 'alert');
+
+        const heading = document.createElement('strong');
+        heading.textContent = 'Configuration problems';
+        panel.appendChild(heading);
+
+        const list = document.createElement('ul');
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'config-errors-close';
+        closeButton.setAttribute('aria-label', 'Dismiss configuration problems');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => panel.remove());
+        panel.appendChild(closeButton);
+
+        this.root.body.prepend(panel);
+        errors.forEach(message => console.warn('Config:', message));
+        return panel;
+    }
+}
+
+// ================================
+// Shareable Link Personalization
+// ================================
+
+// Query/hash keys and the config fields they override
+const SHARE_FIELDS = {
+    to: { path: 'recipient', maxLength: 60 },
+    from: { path: 'sender', maxLength: 60 },
+    message: { path: 'message.text', maxLength: 1000 },
+    theme: { path: 'theme', theme: true }
+};
+
+function encodeBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+class ShareLinkCodec {
+    constructor() {
+        // Payloads are prefixed with "z" when deflated, "j" when plain JSON
+        this.canCompress = typeof CompressionStream !== 'undefined' &&
+            typeof DecompressionStream !== 'undefined';
+    }
+
+    async encode(values) {
+        const bytes = new TextEncoder().encode(JSON.stringify(values));
+        if (this.canCompress) {
+            return 'z' + encodeBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+        }
+        return 'j' + encodeBase64Url(bytes);
+    }
+
+    async decode(payload) {
+        const format = payload.charAt(0);
+        let bytes = decodeBase64Url(payload.slice(1));
+
+        if (format === 'z') {
+            if (!this.canCompress) {
+                throw new Error('this browser cannot decompress the link');
+            }
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        } else if (format !== 'j') {
+            throw new Error(`unknown payload format "${format}"`);
+        }
+
+        const values = JSON.parse(new TextDecoder().decode(bytes));
+        if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+            throw new Error('payload is not an object');
+        }
+        return values;
+    }
+}
+
+class UrlPersonalization {
+    constructor(location = window.location, root = pageRoot) {
+        this.location = location;
+        this.root = root;
+        this.codec = new ShareLinkCodec();
+    }
+
+    // Hash payload wins over query parameters, which win over config
+    async apply(config) {
+        const values = Object.assign({}, this.readQuery(), await this.readHash());
+        const personalized = JSON.parse(JSON.stringify(config));
+
+        Object.keys(SHARE_FIELDS).forEach(key => {
+            const value = this.sanitize(values[key], SHARE_FIELDS[key]);
+            if (value !== null) {
+                setPath(personalized, SHARE_FIELDS[key].path, value);
+            }
+        });
+
+        return personalized;
+    }
+
+    readQuery() {
+        const params = new URLSearchParams(this.location.search);
+        const values = {};
+        Object.keys(SHARE_FIELDS).forEach(key => {
+            if (params.has(key)) values[key] = params.get(key);
+        });
+        return values;
+    }
+
+    async readHash() {
+        const params = new URLSearchParams(this.location.hash.slice(1));
+        const payload = params.get('p');
+        if (!payload) return {};
+
+        try {
+            return await this.codec.decode(payload);
+        } catch (error) {
+            console.warn('Ignoring malformed share link:', error.message);
+            this.root.toasts.warning("This link's personal message couldn't be read, so the default greeting is shown");
+            return {};
+        }
+    }
+
+    sanitize(value, field) {
+        if (typeof value !== 'string') return null;
+
+        // Values are rendered with textContent; strip control characters and cap length
+        const cleaned = value
+            .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '')
+            .trim()
+            .slice(0, field.maxLength || 200);
+
+        if (cleaned === '') return null;
+        if (field.theme && !themeRegistry.has(cleaned)) return null;
+        return cleaned;
+    }
+
+    async createLink(values, options = {}) {
+        const base = this.location.origin + this.location.pathname;
+        const entries = {};
+        Object.keys(SHARE_FIELDS).forEach(key => {
+            const value = this.sanitize(values[key], SHARE_FIELDS[key]);
+            if (value !== null) entries[key] = value;
+        });
+
+        if (options.compress === false) {
+            const query = new URLSearchParams(entries).toString();
+            return query ? `${base}?${query}` : base;
+        }
+
+        return `${base}#p=${await this.codec.encode(entries)}`;
+    }
+}
+
+// ================================
+// Share Link Composer (?compose)
+// ================================
+
+class ShareComposer extends Controller {
+    constructor(personalization, config, root = pageRoot) {
+        super(root);
+        this.personalization = personalization;
+        this.config = config;
+        this.panel = null;
+        this.returnFocus = null;
+    }
+
+    open() {
+        if (this.panel) return;
+
+        this.panel = document.createElement('form');
+        this.panel.className = 'share-composer';
+        this.panel.setAttribute('aria-label', 'Create a personalized link');
+        this.panel.innerHTML = `
+            <h2>Create a birthday link</h2>
+            <label>Recipient <input name="to" maxlength="${SHARE_FIELDS.to.maxLength}"></label>
+            <label>From <input name="from" maxlength="${SHARE_FIELDS.from.maxLength}"></label>
+            <label>Message <textarea name="message" rows="4" maxlength="${SHARE_FIELDS.message.maxLength}"></textarea></label>
+            <label>Theme <select name="theme"></select></label>
+            <div class="share-composer-actions">
+                <button type="submit" class="control-btn">Create link</button>
+                <button type="button" class="control-btn share-composer-close">Close</button>
+            </div>
+            <output class="share-composer-result"></output>
+        `;
+
+        // Prefill from the active configuration; values are set as properties, never as markup
+        this.panel.elements.to.value = this.config.recipient;
+        this.panel.elements.from.value = this.config.sender;
+        this.panel.elements.message.value = this.config.message.text;
+        themeRegistry.names().forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme;
+            option.textContent = themeRegistry.get(theme).label;
+            option.selected = theme === this.config.theme;
+            this.panel.elements.theme.appendChild(option);
+        });
+
+        this.panel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generate();
+        });
+        this.panel.querySelector('.share-composer-close').addEventListener('click', () => this.close());
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.returnFocus = this.root.activeElement;
+        this.lifecycle.attach(this.panel);
+        this.panel.elements.to.focus();
+    }
+
+    async generate() {
+        const fields = this.panel.elements;
+        const link = await this.personalization.createLink({
+            to: fields.to.value,
+            from: fields.from.value,
+            message: fields.message.value,
+            theme: fields.theme.value
+        });
+
+        const result = this.panel.querySelector('.share-composer-result');
+        result.textContent = link;
+
+        try {
+            await navigator.clipboard.writeText(link);
+            result.setAttribute('data-copied', 'true');
+            this.root.toasts.success('Link copied to clipboard', { key: 'share' });
+        } catch (error) {
+            result.removeAttribute('data-copied');
+            this.root.toasts.info('Copy the link above to share it', { key: 'share' });
+        }
+    }
+
+    close() {
+        if (this.panel) {
+            this.lifecycle.detach(this.panel);
+            this.panel = null;
+            if (this.returnFocus && this.returnFocus.focus) {
+                this.returnFocus.focus();
+            }
+        }
+    }
+
+    destroy() {
+        this.panel = null;
+        super.destroy();
+    }
+}
+
+// ================================
+// Content Renderer
+// ================================
+
+class ContentRenderer {
+    constructor(config, root = pageRoot) {
+        this.config = config;
+        this.root = root;
+    }
+
+    render() {
+        // A mounted copy leaves the host page's title alone
+        if (this.root.isPage) {
+            document.title = formatTemplate(this.config.pageTitle, this.config);
+        }
+        this.renderText();
+        this.renderGallery();
+    }
+
+    renderText() {
+        // Elements opt in with data-config="<path>"; textContent keeps markup out
+        this.root.queryAll('[data-config]').forEach(element => {
+            const value = getPath(this.config, element.getAttribute('data-config'));
+            if (typeof value === 'string') {
+                element.textContent = formatTemplate(value, this.config);
+            }
+        });
+    }
+
+    renderGallery() {
+        const grid = this.root.query('.celebration-grid');
+        if (!grid) return;
+
+        const cards = Array.from(grid.querySelectorAll('.image-carousel'))
+            .map(carousel => carousel.closest('.grid-item'));
+        const template = cards[0];
+
+        this.config.gallery.forEach((entry, index) => {
+            let card = cards[index];
+            if (!card) {
+                card = template.cloneNode(true);
+                card.className = 'grid-item gallery-display';
+                grid.appendChild(card);
+            }
+
+            const carousel = card.querySelector('.image-carousel');
+            carousel.setAttribute('data-category', entry.category);
+            card.querySelector('.carousel-image').alt = entry.alt || entry.label;
+            card.querySelector('.item-label').textContent = entry.label;
+        });
+
+        // Drop cards the configuration no longer describes
+        cards.slice(this.config.gallery.length).forEach(card => card.remove());
+    }
+}
+
+// ================================
+// Preferences Store
+// ================================
+
+const PREFERENCES_KEY = 'birthdayApp:preferences';
+const PREFERENCES_VERSION = 1;
+
+const DEFAULT_PREFERENCES = {
+    version: PREFERENCES_VERSION,
+    theme: null,
+    music: {
+        enabled: false,
+        volume: 0.7,
+        shuffle: false
+    },
+    reducedEffects: false,
+    seenSurprises: []
+};
+
+// migrations[n] upgrades stored data from version n to n + 1
+const PREFERENCE_MIGRATIONS = {
+    // Version 0 is the bare "theme" key older builds listened for
+    0: data => ({
+        version: 1,
+        theme: typeof data.theme === 'string' ? data.theme : null,
+        music: Object.assign({}, DEFAULT_PREFERENCES.music),
+        reducedEffects: false,
+        seenSurprises: []
+    })
+};
+
+class PreferencesStore {
+    constructor(storage = PreferencesStore.getStorage(), root = pageRoot) {
+        this.storage = storage;
+        this.root = root; // Where save problems are reported
+        this.listeners = [];
+        this.data = this.load();
+    }
+
+    // localStorage throws in some private modes and sandboxed frames
+    static getStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem(PREFERENCES_KEY);
+            return storage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    load() {
+        if (!this.storage) return this.normalize({});
+
+        let data = null;
+        try {
+            const raw = this.storage.getItem(PREFERENCES_KEY);
+            if (raw !== null) {
+                data = JSON.parse(raw);
+            } else if (this.storage.getItem('theme') !== null) {
+                data = { version: 0, theme: this.storage.getItem('theme') };
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable preferences:', error.message);
+        }
+
+        if (!data || typeof data !== 'object') return this.normalize({});
+
+        const migrated = this.migrate(data);
+        if (migrated.version !== data.version) {
+            this.write(migrated);
+            this.storage.removeItem('theme');
+        }
+        return migrated;
+    }
+
+    migrate(data) {
+        let current = data;
+        let version = typeof current.version === 'number' ? current.version : 0;
+
+        while (version < PREFERENCES_VERSION && PREFERENCE_MIGRATIONS[version]) {
+            current = PREFERENCE_MIGRATIONS[version](current);
+            version = current.version;
+        }
+        return this.normalize(current);
+    }
+
+    // Fill gaps and drop malformed values so callers can trust the shape
+    normalize(data) {
+        const music = Object.assign({}, DEFAULT_PREFERENCES.music, data.music);
+        return {
+            version: PREFERENCES_VERSION,
+            theme: typeof data.theme === 'string' ? data.theme : null,
+            music: {
+                enabled: music.enabled === true,
+                shuffle: music.shuffle === true,
+                volume: typeof music.volume === 'number' ? Math.min(Math.max(music.volume, 0), 1) : DEFAULT_PREFERENCES.music.volume
+            },
+            reducedEffects: data.reducedEffects === true,
+            seenSurprises: Array.isArray(data.seenSurprises)
+                ? data.seenSurprises.filter(id => typeof id === 'string')
+                : []
+        };
+    }
+
+    write(data) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(PREFERENCES_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save preferences:', error.message);
+            this.root.toasts.warning("Your settings couldn't be saved on this device", { key: 'preferences' });
+        }
+    }
+
+    get(path) {
+        return getPath(this.data, path);
+    }
+
+    set(path, value) {
+        if (getPath(this.data, path) === value) return;
+
+        setPath(this.data, path, value);
+        this.write(this.data);
+    }
+
+    hasSeen(surpriseId) {
+        return this.data.seenSurprises.includes(surpriseId);
+    }
+
+    markSeen(surpriseId) {
+        if (this.hasSeen(surpriseId)) return;
+
+        this.data.seenSurprises.push(surpriseId);
+        this.write(this.data);
+    }
+
+    // Called with (newData, previousData) when another tab saves; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    handleStorageEvent(e) {
+        if (e.key !== PREFERENCES_KEY || e.newValue === null) return;
+
+        let data;
+        try {
+            data = JSON.parse(e.newValue);
+        } catch (error) {
+            return;
+        }
+
+        const previous = this.data;
+        this.data = this.migrate(data);
+        this.listeners.forEach(listener => listener(this.data, previous));
+    }
+}
+
+// ================================
+// Particle System
+// ================================
+
+class Particle {
+    constructor(bounds, color = '212, 165, 165') {
+        this.bounds = bounds;
+        this.color = color;
+        this.reset();
+    }
+
+    reset() {
+        this.x = Math.random() * this.bounds.width;
+        this.y = Math.random() * this.bounds.height;
+        this.size = Math.random() * 3 + 1;
+        this.speedX = Math.random() * 0.5 - 0.25;
+        this.speedY = Math.random() * 0.5 - 0.25;
+        this.opacity = Math.random() * 0.5 + 0.2;
+
+        // Resting velocity to return to after being pushed or released
+        this.driftX = this.speedX;
+        this.driftY = this.speedY;
+        this.target = null;
+    }
+
+    push(forceX, forceY) {
+        this.speedX += forceX;
+        this.speedY += forceY;
+    }
+
+    seek(target) {
+        this.target = target;
+    }
+
+    update() {
+        if (this.target) {
+            // Damped spring toward the target point
+            this.speedX = (this.speedX + (this.target.x - this.x) * 0.02) * 0.85;
+            this.speedY = (this.speedY + (this.target.y - this.y) * 0.02) * 0.85;
+            this.x += this.speedX;
+            this.y += this.speedY;
+            return;
+        }
+
+        // Ease back to the ambient drift
+        this.speedX += (this.driftX - this.speedX) * 0.05;
+        this.speedY += (this.driftY - this.speedY) * 0.05;
+        this.x += this.speedX;
+        this.y += this.speedY;
+
+        // Wrap around screen
+        if (this.x > this.bounds.width) this.x = 0;
+        if (this.x < 0) this.x = this.bounds.width;
+        if (this.y > this.bounds.height) this.y = 0;
+        if (this.y < 0) this.y = this.bounds.height;
+    }
+
+    // Jump straight to the target; used for the still frame drawn under reduced motion
+    settle() {
+        if (this.target) {
+            this.x = this.target.x;
+            this.y = this.target.y;
+        }
+    }
+
+    draw(ctx, pulse = 0) {
+        ctx.fillStyle = `rgba(${this.color}, ${this.opacity})`;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size * (1 + pulse * 0.8), 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+// Kicks in the low end of the spectrum, measured against a rolling average
+class BeatDetector {
+    constructor(options = {}) {
+        this.bassBins = options.bassBins || 4;
+        this.sensitivity = options.sensitivity || 1.35;
+        this.floor = options.floor || 0.3;
+        this.minInterval = options.minInterval || 250;
+        this.history = [];
+        this.historySize = 43; // ~0.7s of frames
+        this.lastBeat = -Infinity;
+    }
+
+    process(frequencies, timestamp) {
+        let energy = 0;
+        for (let i = 0; i < this.bassBins; i++) {
+            energy += frequencies[i] / 255;
+        }
+        energy /= this.bassBins;
+
+        const average = this.history.length
+            ? this.history.reduce((sum, value) => sum + value, 0) / this.history.length
+            : energy;
+        this.history.push(energy);
+        if (this.history.length > this.historySize) this.history.shift();
+
+        if (energy > this.floor && energy > average * this.sensitivity &&
+            timestamp - this.lastBeat >= this.minInterval) {
+            this.lastBeat = timestamp;
+            return true;
+        }
+        return false;
+    }
+}
+
+const PARTICLE_MODES = ['drift', 'attract', 'repel', 'heart', 'text'];
+
+// Connection lines are grouped into this many opacity levels, one stroke each
+const CONNECTION_BUCKETS = 6;
+
+// Forward half of a cell's neighbourhood, so every pair is visited once
+const NEIGHBOUR_OFFSETS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+class ParticleSystem extends Controller {
+    constructor(canvasId, particleCount = 80, root = pageRoot) {
+        super(root);
+        this.canvas = this.root.byId(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.particles = [];
+        this.particleCount = particleCount;
+        this.color = '212, 165, 165'; // "r, g, b" shared by particles and connections
+
+        // Logical (CSS pixel) size; the backing store is scaled by devicePixelRatio
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+
+        // Spatial hash: cells are maxDistance wide, so neighbours sit in adjacent cells
+        this.maxDistance = 120;
+        this.gridCols = 0;
+        this.gridRows = 0;
+        this.cellHeads = new Int32Array(0);
+        this.cellNext = new Int32Array(0);
+        this.buckets = Array.from({ length: CONNECTION_BUCKETS }, () => []);
+
+        // Interaction state
+        this.mode = 'drift';
+        this.modeOptions = {};
+        this.pointers = new Map();
+        this.pointerRadius = 150;
+        this.music = null;
+        this.beatDetector = new BeatDetector();
+        this.frequencies = null;
+        this.pulse = 0;
+        this.frame = null;
+
+        // Set by the performance governor
+        this.connections = true;
+
+        this.init();
+    }
+
+    init() {
+        this.resizeCanvas();
+        this.root.watchSize(this.lifecycle, () => {
+            this.resizeCanvas();
+            // Re-fit heart/text shapes to the new stage size
+            if (this.mode === 'heart' || this.mode === 'text') {
+                this.setMode(this.mode, this.modeOptions);
+            }
+            this.redrawStill();
+        });
+        this.trackPointers();
+
+        // Resume the loop when motion is allowed again; the loop stops itself otherwise
+        this.lifecycle.add(motion.subscribe(() => {
+            if (!this.frame) this.animate();
+        }));
+        
+        // Create particles
+        for (let i = 0; i < this.particleCount; i++) {
+            this.particles.push(new Particle(this, this.color));
+        }
+        
+        this.animate();
+    }
+
+    resizeCanvas() {
+        this.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+        this.width = this.root.width;
+        this.height = this.root.height;
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+        this.gridCols = Math.max(Math.ceil(this.width / this.maxDistance), 1);
+        this.gridRows = Math.max(Math.ceil(this.height / this.maxDistance), 1);
+        this.cellHeads = new Int32Array(this.gridCols * this.gridRows);
+    }
+
+    trackPointers() {
+        const update = (e) => this.pointers.set(e.pointerId, this.root.localPoint(e.clientX, e.clientY));
+        const remove = (e) => this.pointers.delete(e.pointerId);
+
+        this.lifecycle.listen(window, 'pointerdown', update);
+        this.lifecycle.listen(window, 'pointermove', update);
+        // A mouse keeps influencing particles between clicks; touches end on lift
+        this.lifecycle.listen(window, 'pointerup', (e) => {
+            if (e.pointerType !== 'mouse') remove(e);
+        });
+        this.lifecycle.listen(window, 'pointercancel', remove);
+        this.lifecycle.listen(this.root.rootElement, 'pointerleave', remove);
+    }
+
+    // 'drift' | 'attract' | 'repel' | 'heart' | 'text' ({ text })
+    setMode(mode, options = {}) {
+        if (!PARTICLE_MODES.includes(mode)) {
+            console.warn(`Unknown particle mode "${mode}"`);
+            return false;
+        }
+
+        this.mode = mode;
+        this.modeOptions = options;
+
+        let targets = null;
+        if (mode === 'heart') {
+            targets = this.getHeartPoints();
+        } else if (mode === 'text') {
+            const text = options.text || (this.root.state.config && this.root.state.config.recipient) || '♥';
+            targets = this.getTextPoints(text);
+        }
+
+        this.particles.forEach((particle, index) => {
+            particle.seek(targets && targets.length ? targets[index % targets.length] : null);
+        });
+        this.redrawStill();
+        return true;
+    }
+
+    getHeartPoints() {
+        const count = this.particles.length;
+        const scale = Math.min(this.width, this.height) * 0.3 / 16;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        const points = [];
+
+        // Classic parametric heart, y flipped for screen space
+        for (let i = 0; i < count; i++) {
+            const t = (Math.PI * 2 * i) / count;
+            points.push({
+                x: centerX + 16 * Math.pow(Math.sin(t), 3) * scale,
+                y: centerY - (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * scale
+            });
+        }
+        return points;
+    }
+
+    getTextPoints(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(Math.round(this.width), 1);
+        canvas.height = Math.max(Math.round(this.height), 1);
+        const ctx = canvas.getContext('2d');
+
+        // Fit the text to 90% of the viewport width
+        let fontSize = Math.min(this.height * 0.3, 220);
+        ctx.font = `600 ${fontSize}px 'Cormorant Garamond', serif`;
+        const measured = ctx.measureText(text).width;
+        if (measured > canvas.width * 0.9) {
+            fontSize *= (canvas.width * 0.9) / measured;
+            ctx.font = `600 ${fontSize}px 'Cormorant Garamond', serif`;
+        }
+
+        ctx.fillStyle = '#000';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const step = Math.max(Math.round(fontSize / 25), 3);
+        const points = [];
+        for (let y = 0; y < canvas.height; y += step) {
+            for (let x = 0; x < canvas.width; x += step) {
+                if (data[(y * canvas.width + x) * 4 + 3] > 128) {
+                    points.push({ x, y });
+                }
+            }
+        }
+
+        // Random subset so the few particles spread over the whole word
+        for (let i = points.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [points[i], points[j]] = [points[j], points[i]];
+        }
+        return points.slice(0, this.particles.length);
+    }
+
+    attachMusic(musicController) {
+        this.music = musicController;
+    }
+
+    updatePulse() {
+        this.pulse *= 0.9;
+
+        const analyser = this.music && this.music.isPlaying && this.music.analyser;
+        if (!analyser) return;
+
+        if (!this.frequencies || this.frequencies.length !== analyser.frequencyBinCount) {
+            this.frequencies = new Uint8Array(analyser.frequencyBinCount);
+        }
+        analyser.getByteFrequencyData(this.frequencies);
+        if (this.beatDetector.process(this.frequencies, performance.now())) {
+            this.pulse = 1;
+        }
+    }
+
+    applyPointerForces() {
+        if (this.pointers.size === 0 || (this.mode !== 'attract' && this.mode !== 'repel')) return;
+
+        const direction = this.mode === 'attract' ? 1 : -1;
+        const radius = this.pointerRadius;
+
+        this.particles.forEach(particle => {
+            this.pointers.forEach(pointer => {
+                const dx = pointer.x - particle.x;
+                const dy = pointer.y - particle.y;
+                const distanceSquared = dx * dx + dy * dy;
+                if (distanceSquared >= radius * radius || distanceSquared === 0) return;
+
+                const distance = Math.sqrt(distanceSquared);
+                const strength = (1 - distance / radius) * 0.6 * direction;
+                particle.push((dx / distance) * strength, (dy / distance) * strength);
+            });
+        });
+    }
+
+    animate() {
+        if (motion.reduced) {
+            this.frame = null;
+            this.drawStill();
+            return;
+        }
+
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        this.updatePulse();
+        this.applyPointerForces();
+
+        // Update and draw particles
+        this.particles.forEach(particle => {
+            particle.update();
+            particle.draw(this.ctx, this.pulse);
+        });
+
+        // Draw connections
+        if (this.connections) {
+            this.drawConnections();
+        }
+        
+        this.frame = this.lifecycle.frame(() => this.animate());
+    }
+
+    destroy() {
+        super.destroy();
+        this.frame = null;
+        this.particles = [];
+        this.pointers.clear();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    // Fraction of the configured particle count to keep; shapes are re-fitted to the new count
+    setDensity(fraction) {
+        const count = Math.max(Math.round(this.particleCount * fraction), 1);
+        if (count === this.particles.length) return;
+
+        if (count < this.particles.length) {
+            this.particles.length = count;
+        } else {
+            while (this.particles.length < count) {
+                this.particles.push(new Particle(this, this.color));
+            }
+        }
+        this.setMode(this.mode, this.modeOptions);
+    }
+
+    setConnections(enabled) {
+        this.connections = enabled;
+        this.redrawStill();
+    }
+
+    // Reduced motion: the same scene, drawn once with shapes already formed
+    drawStill() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.particles.forEach(particle => {
+            particle.settle();
+            particle.draw(this.ctx);
+        });
+        if (this.connections) {
+            this.drawConnections();
+        }
+    }
+
+    // Keep the still frame current while the loop is stopped
+    redrawStill() {
+        if (!this.frame) this.drawStill();
+    }
+
+    // Bucket each particle into its grid cell as a linked list (head per cell, next per particle)
+    buildGrid() {
+        const particles = this.particles;
+        if (this.cellNext.length < particles.length) {
+            this.cellNext = new Int32Array(particles.length);
+        }
+
+        this.cellHeads.fill(-1);
+        for (let i = 0; i < particles.length; i++) {
+            const cx = Math.min(Math.max(Math.floor(particles[i].x / this.maxDistance), 0), this.gridCols - 1);
+            const cy = Math.min(Math.max(Math.floor(particles[i].y / this.maxDistance), 0), this.gridRows - 1);
+            const cell = cy * this.gridCols + cx;
+            this.cellNext[i] = this.cellHeads[cell];
+            this.cellHeads[cell] = i;
+        }
+    }
+
+    collectPair(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distanceSquared = dx * dx + dy * dy;
+        const maxSquared = this.maxDistance * this.maxDistance;
+        if (distanceSquared >= maxSquared) return;
+
+        const strength = 1 - Math.sqrt(distanceSquared) / this.maxDistance;
+        const bucket = Math.min(Math.floor(strength * CONNECTION_BUCKETS), CONNECTION_BUCKETS - 1);
+        this.buckets[bucket].push(a.x, a.y, b.x, b.y);
+    }
+
+    drawConnections() {
+        const particles = this.particles;
+        const cols = this.gridCols;
+        const rows = this.gridRows;
+
+        this.buckets.forEach(bucket => {
+            bucket.length = 0;
+        });
+        this.buildGrid();
+
+        for (let cy = 0; cy < rows; cy++) {
+            for (let cx = 0; cx < cols; cx++) {
+                for (let i = this.cellHeads[cy * cols + cx]; i !== -1; i = this.cellNext[i]) {
+                    // Rest of the same cell
+                    for (let j = this.cellNext[i]; j !== -1; j = this.cellNext[j]) {
+                        this.collectPair(particles[i], particles[j]);
+                    }
+
+                    for (let n = 0; n < NEIGHBOUR_OFFSETS.length; n++) {
+                        const nx = cx + NEIGHBOUR_OFFSETS[n][0];
+                        const ny = cy + NEIGHBOUR_OFFSETS[n][1];
+                        if (nx < 0 || nx >= cols || ny >= rows) continue;
+                        for (let j = this.cellHeads[ny * cols + nx]; j !== -1; j = this.cellNext[j]) {
+                            this.collectPair(particles[i], particles[j]);
+                        }
+                    }
+                }
+            }
+        }
+
+        // One path and one stroke per opacity bucket
+        this.ctx.lineWidth = 0.5;
+        this.buckets.forEach((segments, index) => {
+            if (segments.length === 0) return;
+
+            const opacity = ((index + 0.5) / CONNECTION_BUCKETS) * 0.2;
+            this.ctx.strokeStyle = `rgba(${this.color}, ${opacity})`;
+            this.ctx.beginPath();
+            for (let k = 0; k < segments.length; k += 4) {
+                this.ctx.moveTo(segments[k], segments[k + 1]);
+                this.ctx.lineTo(segments[k + 2], segments[k + 3]);
+            }
+            this.ctx.stroke();
+        });
+    }
+
+    // Accepts an [r, g, b] palette entry or an "r, g, b" string
+    updateColor(color) {
+        this.color = Array.isArray(color) ? color.join(', ') : color;
+        this.particles.forEach(particle => {
+            particle.color = this.color;
+        });
+        this.redrawStill();
+    }
+}
+
+// ================================
+// Effects Engine (pooled canvas layer)
+// ================================
+
+class EffectParticle {
+    reset(props) {
+        this.kind = props.kind || 'dot';
+        this.x = props.x;
+        this.y = props.y;
+        this.vx = props.vx || 0;
+        this.vy = props.vy || 0;
+        this.gravity = props.gravity || 0;
+        this.drag = props.drag || 0;
+        this.life = props.life || 1;
+        this.delay = props.delay || 0;
+        this.age = 0;
+        this.size = props.size || 4;
+        this.color = props.color || '#ffffff';
+        this.glyph = props.glyph || '';
+        this.rotation = props.rotation || 0;
+        this.spin = props.spin || 0;
+        this.alphaFrom = props.alphaFrom !== undefined ? props.alphaFrom : 1;
+        this.alphaTo = props.alphaTo !== undefined ? props.alphaTo : 0;
+        this.scaleFrom = props.scaleFrom !== undefined ? props.scaleFrom : 1;
+        this.scaleTo = props.scaleTo !== undefined ? props.scaleTo : 1;
+        return this;
+    }
+
+    // Fraction of visible life elapsed, 0..1
+    progress() {
+        return Math.min(Math.max((this.age - this.delay) / this.life, 0), 1);
+    }
+}
+
+class EffectsEngine extends Controller {
+    constructor(canvasId, options = {}, root = pageRoot) {
+        super(root);
+        this.canvas = this.root.byId(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.maxParticles = options.maxParticles || 2500;
+        this.step = 1 / 60; // Fixed simulation step in seconds
+
+        this.active = [];
+        this.pool = [];
+        this.running = false;
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.pixelRatio = 1;
+        this.colorCache = {};
+
+        this.init();
+    }
+
+    init() {
+        this.resizeCanvas();
+        this.root.watchSize(this.lifecycle, () => this.resizeCanvas());
+
+        // Switching to reduced motion stops anything already in flight
+        this.lifecycle.add(motion.subscribe(reduced => {
+            if (reduced) this.clear();
+        }));
+    }
+
+    resizeCanvas() {
+        this.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+        this.canvas.width = this.root.width * this.pixelRatio;
+        this.canvas.height = this.root.height * this.pixelRatio;
+    }
+
+    // Resolve a CSS custom property for canvas drawing, cached per theme
+    themeColor(variable) {
+        const key = `${this.root.state.currentTheme}:${variable}`;
+        if (!(key in this.colorCache)) {
+            this.colorCache[key] = getComputedStyle(this.root.body).getPropertyValue(variable).trim() || '#d4a5a5';
+        }
+        return this.colorCache[key];
+    }
+
+    // Nothing is spawned under reduced motion, so every canvas effect honours it here
+    spawn(props) {
+        if (motion.reduced || this.active.length >= this.maxParticles) return null;
+
+        const particle = (this.pool.pop() || new EffectParticle()).reset(props);
+        this.active.push(particle);
+        this.start();
+        return particle;
+    }
+
+    // Effects in flight freeze where they are and carry on without a jump
+    resume() {
+        this.lastTime = performance.now();
+        super.resume();
+    }
+
+    destroy() {
+        super.destroy();
+        this.running = false;
+        this.clear();
+    }
+
+    // Returns every particle to the pool and wipes the last frame off the canvas
+    clear() {
+        this.active.forEach(p => this.pool.push(p));
+        this.active.length = 0;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.lifecycle.frame(time => this.frame(time));
+    }
+
+    frame(time) {
+        // Cap the catch-up so a backgrounded tab doesn't simulate minutes at once
+        this.accumulator += Math.min((time - this.lastTime) / 1000, 0.25);
+        this.lastTime = time;
+
+        while (this.accumulator >= this.step) {
+            this.update(this.step);
+            this.accumulator -= this.step;
+        }
+
+        this.render();
+
+        // Sleep when there is nothing left to draw
+        if (this.active.length === 0) {
+            this.running = false;
+            return;
+        }
+        this.lifecycle.frame(next => this.frame(next));
+    }
+
+    update(dt) {
+        for (let i = this.active.length - 1; i >= 0; i--) {
+            const p = this.active[i];
+            p.age += dt;
+
+            if (p.age >= p.delay + p.life) {
+                // Swap-remove and return to the pool
+                this.active[i] = this.active[this.active.length - 1];
+                this.active.pop();
+                this.pool.push(p);
+                continue;
+            }
+            if (p.age < p.delay) continue;
+
+            if (p.drag) {
+                const damping = Math.exp(-p.drag * dt);
+                p.vx *= damping;
+                p.vy *= damping;
+            }
+            p.vy += p.gravity * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            p.rotation += p.spin * dt;
+        }
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const ratio = this.pixelRatio;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        for (let i = 0; i < this.active.length; i++) {
+            const p = this.active[i];
+            if (p.age < p.delay) continue;
+
+            const t = p.progress();
+            const scale = p.scaleFrom + (p.scaleTo - p.scaleFrom) * t;
+            ctx.globalAlpha = Math.max(p.alphaFrom + (p.alphaTo - p.alphaFrom) * t, 0);
+
+            if (p.kind === 'glyph') {
+                const cos = Math.cos(p.rotation) * scale * ratio;
+                const sin = Math.sin(p.rotation) * scale * ratio;
+                ctx.setTransform(cos, sin, -sin, cos, p.x * ratio, p.y * ratio);
+                ctx.fillStyle = p.color;
+                ctx.font = `${p.size}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(p.glyph, 0, 0);
+                continue;
+            }
+
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+            if (p.kind === 'glow') {
+                const radius = p.size * scale;
+                const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, radius);
+                gradient.addColorStop(0, p.color);
+                gradient.addColorStop(1, 'transparent');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(p.x - radius, p.y - radius, radius * 2, radius * 2);
+            } else if (p.kind === 'streak') {
+                // Short tail drawn behind the direction of travel
+                ctx.strokeStyle = p.color;
+                ctx.lineWidth = p.size;
+                ctx.lineCap = 'round';
+                ctx.beginPath();
+                ctx.moveTo(p.x - p.vx * 0.04, p.y - p.vy * 0.04);
+                ctx.lineTo(p.x, p.y);
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, Math.max(p.size * scale, 0), 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        ctx.globalAlpha = 1;
+    }
+}
+
+// ================================
+// Music Control
+// ================================
+
+class MusicController extends Controller {
+    constructor(audioId, buttonId, options = {}, root = pageRoot) {
+        super(root);
+        this.audio = this.root.byId(audioId);
+        this.button = this.root.byId(buttonId);
+        this.panel = this.root.byId(options.panelId || 'nowPlaying');
+        this.preferences = options.preferences || null;
+        this.isPlaying = false;
+        this.audioContext = null;
+        this.analyser = null;
+
+        // Two decks so one track can fade out while the next fades in
+        this.decks = [this.audio, this.createDeck()];
+        this.playlist = options.playlist && options.playlist.length
+            ? options.playlist
+            : [{ title: 'Background music', src: this.audio.currentSrc || 'music.mp3' }];
+        this.crossfade = options.crossfade !== undefined ? options.crossfade : 2;
+        this.volume = 0.7;
+        this.duckLevel = 1; // Drops while a video or voice message plays
+        this.shuffle = false;
+        this.order = [];
+        this.position = 0;
+        this.failedTracks = new Set();
+        this.loadedTracks = new Map(); // deck -> playlist index
+        this.fades = new Map();
+        this.switching = null; // Token of the crossfade in progress
+        this.resumable = false; // Set by pause({ persist: false }) while playing
+        
+        this.init();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.toggle());
+
+        if (this.preferences) {
+            this.volume = this.preferences.get('music.volume');
+            this.shuffle = this.preferences.get('music.shuffle');
+        }
+
+        this.decks.forEach(deck => {
+            deck.loop = false;
+            deck.volume = this.outputVolume;
+            this.lifecycle.listen(deck, 'error', () => this.handleTrackError(deck));
+            // A track that plays after all (the network came back) is no longer failed
+            this.lifecycle.listen(deck, 'playing', () => this.failedTracks.delete(this.loadedTracks.get(deck)));
+            this.lifecycle.listen(deck, 'timeupdate', () => this.checkCrossfade(deck));
+            this.lifecycle.listen(deck, 'ended', () => {
+                if (deck === this.audio && !this.switching) this.next();
+            });
+        });
+
+        this.buildOrder(0);
+        this.load(this.currentIndex(), this.audio);
+        this.initPanel();
+        this.initMediaSession();
+
+        if (this.preferences) {
+            this.restorePlayback();
+        }
+    }
+
+    createDeck() {
+        const deck = document.createElement('audio');
+        deck.preload = 'auto';
+        this.audio.after(deck);
+        return deck;
+    }
+
+    currentIndex() {
+        return this.order[this.position];
+    }
+
+    currentTrack() {
+        return this.playlist[this.currentIndex()];
+    }
+
+    // Playback order; shuffled orders keep the given track first
+    buildOrder(firstIndex) {
+        const indices = this.playlist.map((track, index) => index).filter(index => index !== firstIndex);
+        if (this.shuffle) {
+            for (let i = indices.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+            this.order = [firstIndex, ...indices];
+            this.position = 0;
+        } else {
+            this.order = this.playlist.map((track, index) => index);
+            this.position = firstIndex;
+        }
+    }
+
+    load(index, deck) {
+        this.loadedTracks.set(deck, index);
+        deck.src = this.playlist[index].src;
+        deck.load();
+    }
+
+    initPanel() {
+        if (!this.panel) return;
+
+        this.titleElement = this.panel.querySelector('.now-playing-title');
+        this.statusElement = this.panel.querySelector('.now-playing-status');
+        this.shuffleButton = this.panel.querySelector('[data-action="shuffle"]');
+        this.volumeSlider = this.panel.querySelector('.now-playing-volume');
+
+        this.lifecycle.listen(this.panel.querySelector('[data-action="previous"]'), 'click', () => this.previous());
+        this.lifecycle.listen(this.panel.querySelector('[data-action="next"]'), 'click', () => this.next());
+        this.lifecycle.listen(this.shuffleButton, 'click', () => this.setShuffle(!this.shuffle));
+
+        this.volumeSlider.value = this.volume;
+        this.lifecycle.listen(this.volumeSlider, 'input', () => this.setVolume(parseFloat(this.volumeSlider.value)));
+
+        // Single-track playlists have nothing to skip or shuffle
+        if (this.playlist.length < 2) {
+            this.panel.classList.add('single-track');
+        }
+
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        if (!this.panel) return;
+
+        const track = this.currentTrack();
+        this.titleElement.textContent = track.artist ? `${track.title} — ${track.artist}` : track.title;
+        this.shuffleButton.classList.toggle('active', this.shuffle);
+        this.shuffleButton.setAttribute('aria-pressed', String(this.shuffle));
+    }
+
+    // Problems found before playback starts wait in the panel instead of interrupting
+    showStatus(message, level = 'warning') {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+            this.statusElement.hidden = !message;
+        }
+        if (message && this.isPlaying) {
+            this.root.toasts.show(message, { level, key: 'music' });
+        }
+    }
+
+    initMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => this.retryPlay(),
+            pause: () => this.pause(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next()
+        };
+        Object.keys(handlers).forEach(action => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handlers[action]);
+            } catch (error) {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const track = this.currentTrack();
+        if (typeof MediaMetadata !== 'undefined') {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: track.title,
+                artist: track.artist || '',
+                album: document.title,
+                artwork: track.artwork ? [{ src: track.artwork }] : []
+            });
+        }
+        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+    }
+
+    // Route the audio element through an analyser so effects can follow the beat.
+    // Created on first play, since browsers only allow audio contexts after a gesture.
+    setupAnalyser() {
+        if (this.audioContext) {
+            if (this.audioContext.state === 'suspended') this.audioContext.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        try {
+            this.audioContext = new AudioContextClass();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 256;
+            this.decks.forEach(deck => {
+                this.audioContext.createMediaElementSource(deck).connect(this.analyser);
+            });
+            this.analyser.connect(this.audioContext.destination);
+        } catch (error) {
+            console.warn('Audio analysis unavailable:', error.message);
+            this.root.toasts.warning("Music visuals aren't available in this browser", { key: 'music-analysis' });
+            this.analyser = null;
+        }
+    }
+
+    // Browsers block autoplay, so resume saved playback on the first interaction
+    restorePlayback() {
+        if (!this.preferences.get('music.enabled')) return;
+
+        const resume = () => {
+            ['pointerdown', 'keydown'].forEach(type => document.removeEventListener(type, resume));
+            if (!this.isPlaying && this.preferences.get('music.enabled')) {
+                this.play();
+            }
+        };
+        ['pointerdown', 'keydown'].forEach(type => this.lifecycle.listen(document, type, resume));
+    }
+
+    setVolume(volume, options = {}) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        if (!this.fades.has(this.audio)) {
+            this.audio.volume = this.outputVolume;
+        }
+        if (this.volumeSlider) {
+            this.volumeSlider.value = this.volume;
+        }
+        if (this.preferences && options.persist !== false) {
+            this.preferences.set('music.volume', this.volume);
+        }
+    }
+
+    // What the decks should play at: the chosen volume, lowered while ducked
+    get outputVolume() {
+        return this.volume * this.duckLevel;
+    }
+
+    // Lower the music under another sound (a video message) without touching the saved volume
+    duck(level = 0.15) {
+        this.duckLevel = level;
+        if (this.isPlaying) this.fade(this.audio, this.outputVolume, 0.4);
+    }
+
+    unduck() {
+        if (this.duckLevel === 1) return;
+        this.duckLevel = 1;
+        if (this.isPlaying) this.fade(this.audio, this.outputVolume, 0.8);
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = !!enabled;
+        this.buildOrder(this.currentIndex());
+        this.updatePanel();
+        if (this.preferences) {
+            this.preferences.set('music.shuffle', this.shuffle);
+        }
+    }
+
+    // Ramp a deck's volume; resolves when done or when superseded by another fade
+    fade(deck, to, seconds) {
+        this.cancelFade(deck);
+
+        return new Promise(resolve => {
+            const from = deck.volume;
+            const start = performance.now();
+            const interval = this.lifecycle.interval(() => {
+                const progress = seconds > 0 ? Math.min((performance.now() - start) / (seconds * 1000), 1) : 1;
+                deck.volume = from + (to - from) * progress;
+                if (progress === 1) {
+                    // Not cancelFade(): that would resolve false first
+                    this.lifecycle.clear(interval);
+                    this.fades.delete(deck);
+                    resolve(true);
+                }
+            }, 50);
+            this.fades.set(deck, { interval, resolve });
+        });
+    }
+
+    cancelFade(deck) {
+        const fade = this.fades.get(deck);
+        if (fade) {
+            this.lifecycle.clear(fade.interval);
+            this.fades.delete(deck);
+            fade.resolve(false);
+        }
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.retryPlay();
+        }
+    }
+
+    // Pressing play retries tracks that failed earlier, e.g. while offline
+    retryPlay() {
+        this.failedTracks.clear();
+        this.play();
+    }
+
+    play() {
+        if (this.failedTracks.size >= this.playlist.length) {
+            this.root.toasts.error('No playable music found', { key: 'music' });
+            return;
+        }
+
+        this.setupAnalyser();
+        this.audio.volume = 0;
+        this.audio.play().then(() => {
+            this.fade(this.audio, this.outputVolume, 0.6);
+        }).catch(error => {
+            // Missing or unsupported files surface through the deck's error event
+            if (error.name === 'NotAllowedError') {
+                this.setStopped();
+                this.root.toasts.warning('Your browser paused the music until you interact with the page', {
+                    key: 'music',
+                    action: { label: 'Tap to enable music', onClick: () => this.play() }
+                });
+            }
+        });
+        this.isPlaying = true;
+        this.resumable = false;
+        this.button.classList.add('active');
+        this.button.setAttribute('aria-pressed', 'true');
+        this.root.state.musicPlaying = true;
+        this.savePlayback(true);
+
+        if (this.panel) this.panel.hidden = false;
+        this.updateMediaSession();
+        this.root.events.emit('music:play', { track: this.currentTrack() });
+    }
+
+    // Reflect a stop in the UI without touching the saved preference
+    setStopped() {
+        const wasPlaying = this.isPlaying;
+        this.isPlaying = false;
+        this.button.classList.remove('active');
+        this.button.setAttribute('aria-pressed', 'false');
+        this.root.state.musicPlaying = false;
+        this.updateMediaSession();
+        if (wasPlaying) this.root.events.emit('music:pause');
+    }
+
+    // Also the lifecycle pause: app.pause() passes { persist: false } so resume() can pick up again
+    pause(options = {}) {
+        const wasPlaying = this.isPlaying;
+        this.resumable = wasPlaying && options.persist === false;
+
+        const deck = this.audio;
+        this.fade(deck, 0, 0.4).then(finished => {
+            if (finished && !this.isPlaying) deck.pause();
+        });
+        this.decks.filter(other => other !== deck).forEach(other => {
+            this.cancelFade(other);
+            other.pause();
+        });
+        this.isPlaying = false;
+        this.button.classList.remove('active');
+        this.button.setAttribute('aria-pressed', 'false');
+        this.root.state.musicPlaying = false;
+        if (options.persist !== false) {
+            this.savePlayback(false);
+        }
+        this.updateMediaSession();
+        if (wasPlaying) this.root.events.emit('music:pause');
+    }
+
+    resume() {
+        if (this.resumable) this.play();
+    }
+
+    // Silences both decks at once and hands the media keys back to the browser
+    destroy() {
+        this.fades.forEach((fade, deck) => this.cancelFade(deck));
+        this.decks.forEach(deck => deck.pause());
+        this.setStopped();
+        super.destroy();
+
+        this.decks.filter(deck => deck !== this.decks[0]).forEach(deck => deck.remove());
+        if (this.panel) this.panel.hidden = true;
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+            this.analyser = null;
+        }
+        if ('mediaSession' in navigator) {
+            ['play', 'pause', 'previoustrack', 'nexttrack'].forEach(action => {
+                try {
+                    navigator.mediaSession.setActionHandler(action, null);
+                } catch (error) {
+                    // Action not supported by this browser
+                }
+            });
+        }
+    }
+
+    savePlayback(enabled) {
+        if (this.preferences) {
+            this.preferences.set('music.enabled', enabled);
+        }
+    }
+
+    next() {
+        this.skip(1);
+    }
+
+    previous() {
+        // Like most players, "previous" first rewinds a track that's well underway
+        if (this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+        this.skip(-1);
+    }
+
+    skip(step) {
+        this.position = (this.position + step + this.order.length) % this.order.length;
+        this.switchTrack();
+    }
+
+    // Swap decks, crossfading when music is playing
+    switchTrack(fadeSeconds = 0.6) {
+        const outgoing = this.audio;
+        const incoming = this.decks.find(deck => deck !== outgoing);
+
+        // A quick second switch reuses the deck still fading out from the first one
+        this.cancelFade(incoming);
+        this.load(this.currentIndex(), incoming);
+        this.audio = incoming;
+        this.updatePanel();
+        this.updateMediaSession();
+
+        if (!this.isPlaying) {
+            this.cancelFade(outgoing);
+            outgoing.pause();
+            incoming.volume = this.outputVolume;
+            return;
+        }
+
+        const token = {};
+        this.switching = token;
+        incoming.volume = 0;
+        incoming.play().then(() => {
+            if (incoming === this.audio) this.fade(incoming, this.outputVolume, fadeSeconds);
+        }).catch(() => {});
+        // A later switch may have taken the outgoing deck back; leave it and its flag alone
+        this.fade(outgoing, 0, fadeSeconds).then(finished => {
+            if (finished && outgoing !== this.audio) outgoing.pause();
+            if (this.switching === token) this.switching = null;
+        });
+    }
+
+    checkCrossfade(deck) {
+        if (deck !== this.audio || this.switching || !this.isPlaying || !this.crossfade) return;
+
+        const remaining = deck.duration - deck.currentTime;
+        if (isFinite(remaining) && remaining <= this.crossfade) {
+            this.position = (this.position + 1) % this.order.length;
+            this.switchTrack(Math.max(remaining, 0.1));
+        }
+    }
+
+    handleTrackError(deck) {
+        if (deck !== this.audio) return;
+
+        const track = this.currentTrack();
+        this.failedTracks.add(this.currentIndex());
+
+        if (this.failedTracks.size >= this.playlist.length) {
+            this.showStatus('No playable music found', 'error');
+            this.pause({ persist: false });
+            return;
+        }
+
+        this.showStatus(`Couldn't play "${track.title}" — skipping`);
+        this.switching = null;
+        this.next();
+    }
+}
+
+// ================================
+// Theme Controller
+// ================================
+
+class ThemeController extends Controller {
+    constructor(buttonId, options = {}, root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.particleSystem = options.particleSystem || null;
+        this.preferences = options.preferences || null;
+
+        // A theme the visitor picked before beats the configured default
+        const savedTheme = this.preferences && this.preferences.get('theme');
+        const initialTheme = themeRegistry.has(savedTheme) ? savedTheme : (options.initialTheme || 'romantic');
+        this.currentThemeIndex = Math.max(this.themes.indexOf(initialTheme), 0);
+
+        this.init();
+    }
+
+    // Read live so themes registered later join the rotation
+    get themes() {
+        return themeRegistry.names();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.toggle());
+        this.applyTheme(this.themes[this.currentThemeIndex]);
+    }
+
+    toggle() {
+        this.currentThemeIndex = (this.currentThemeIndex + 1) % this.themes.length;
+        const newTheme = this.themes[this.currentThemeIndex];
+        this.applyTheme(newTheme);
+        this.saveTheme(newTheme);
+        this.animateTransition();
+        this.root.announcer.announce(`${themeRegistry.get(newTheme).label} theme`);
+    }
+
+    setTheme(theme, options = {}) {
+        if (!themeRegistry.has(theme)) {
+            console.warn(`Unknown theme "${theme}"`);
+            return false;
+        }
+
+        this.currentThemeIndex = this.themes.indexOf(theme);
+        this.applyTheme(theme);
+        if (options.persist !== false) {
+            this.saveTheme(theme);
+        }
+        this.animateTransition();
+        return true;
+    }
+
+    saveTheme(theme) {
+        if (this.preferences) {
+            this.preferences.set('theme', theme);
+        }
+    }
+
+    applyTheme(theme) {
+        const definition = themeRegistry.get(theme);
+        const previous = this.root.state.currentTheme;
+
+        this.root.body.setAttribute('data-theme', theme);
+        this.root.state.currentTheme = theme;
+
+        // Theme variables go on :root (:host when mounted) so everything inherits them
+        Object.keys(definition.variables).forEach(variable => {
+            this.root.rootElement.style.setProperty(variable, definition.variables[variable]);
+        });
+
+        if (this.particleSystem) {
+            this.particleSystem.updateColor(definition.palettes.particle);
+        }
+        
+        // Update button state
+        if (theme !== themeRegistry.defaultTheme) {
+            this.button.classList.add('active');
+        } else {
+            this.button.classList.remove('active');
+        }
+        this.button.setAttribute('aria-label', `Change theme (now ${definition.label})`);
+
+        if (theme !== previous) {
+            this.root.events.emit('theme:change', { theme, previous });
+        }
+    }
+
+    animateTransition() {
+        if (motion.reduced) return;
+
+        // Add transition effect
+        this.root.body.style.transition = 'all 0.8s cubic-bezier(0.4, 0, 0.2, 1)';
+        
+        // Create ripple effect
+        this.createRippleEffect();
+        
+        // Trigger re-animation of grid items
+        this.reanimateElements();
+    }
+
+    createRippleEffect() {
+        const ripple = document.createElement('div');
+        ripple.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            width: 0;
+            height: 0;
+            border-radius: 50%;
+            background: rgba(${themeRegistry.get(this.root.state.currentTheme).palettes.particle.join(', ')}, 0.3);
+            transform: translate(-50%, -50%);
+            pointer-events: none;
+            z-index: 9999;
+            transition: all 1s cubic-bezier(0.4, 0, 0.2, 1);
+        `;
+        
+        this.lifecycle.attach(ripple);
+        
+        this.lifecycle.timeout(() => {
+            ripple.style.width = '200vmax';
+            ripple.style.height = '200vmax';
+            ripple.style.opacity = '0';
+        }, 10);
+        
+        this.lifecycle.timeout(() => {
+            this.lifecycle.detach(ripple);
+        }, 1000);
+    }
+
+    reanimateElements() {
+        const gridItems = this.root.queryAll('.grid-item');
+        
+        gridItems.forEach((item, index) => {
+            item.style.animation = 'none';
+            this.lifecycle.timeout(() => {
+                item.style.animation = '';
+            }, 10);
+        });
+    }
+}
+
+// ================================
+// Floating Hearts Effect
+// ================================
+
+class FloatingHeartsEffect extends Controller {
+    constructor(root = pageRoot) {
+        super(root);
+        this.hearts = ['♥', '♡', '❤', '💕', '💖'];
+        this.interval = null;
+        this.live = 0;
+        this.maxHearts = Infinity; // Lowered by the performance governor
+    }
+
+    start() {
+        if (this.interval) return;
+        this.createHeart();
+        this.interval = this.lifecycle.interval(() => this.createHeart(), 2000);
+    }
+
+    createHeart() {
+        // Keeps ticking under reduced motion so hearts come back when it's lifted
+        if (motion.reduced || this.live >= this.maxHearts) return;
+
+        const heart = document.createElement('div');
+        const heartSymbol = this.hearts[Math.floor(Math.random() * this.hearts.length)];
+        
+        heart.textContent = heartSymbol;
+        heart.style.cssText = `
+            position: fixed;
+            font-size: ${Math.random() * 20 + 20}px;
+            color: ${pickColor(getPalette('hearts', this.root.state))};
+            opacity: 0;
+            pointer-events: none;
+            z-index: 999;
+            left: ${Math.random() * 100}vw;
+            bottom: -50px;
+            animation: floatUp ${Math.random() * 3 + 4}s ease-in-out forwards;
+        `;
+        
+        this.lifecycle.attach(heart);
+        this.live++;
+        
+        this.lifecycle.timeout(() => {
+            this.lifecycle.detach(heart);
+            this.live--;
+        }, 7000);
+    }
+
+    stop() {
+        if (this.interval) {
+            this.lifecycle.clear(this.interval);
+            this.interval = null;
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.interval = null;
+        this.live = 0;
+    }
+}
+
+// ================================
+// Dynamic Love Tree Creator
+// ================================
+
+class LoveTreeCreator extends Controller {
+    constructor(buttonId, root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.currentTree = null;
+        this.isGrowing = false;
+        this.treeCount = 0;
+        this.maxTrees = 3; // Maximum number of trees on screen
+        this.activeTrees = [];
+        
+        this.init();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.handleClick());
+        this.lifecycle.add(this.root.events.on('celebration:start', () => this.growForest()));
+    }
+
+    handleClick() {
+        if (this.isGrowing) return;
+        
+        this.createTree();
+    }
+
+    createTree() {
+        // Remove oldest tree if at max capacity (lowered by the performance governor)
+        if (this.activeTrees.length >= this.maxTrees) {
+            this.removeOldestTree();
+        }
+
+        this.isGrowing = true;
+        this.button.classList.add('active');
+        
+        const tree = document.createElement('div');
+        tree.className = 'dynamic-love-tree';
+        
+        // Random position at bottom of screen
         const position = this.getRandomPosition();
         tree.style.left = position + 'px';
         
-        // Create tree structure
-        const treeContainer = document.createElement('div');
-        treeContainer.className = 'dynamic-tree-container';
+        // Create tree structure
+        const treeContainer = document.createElement('div');
+        treeContainer.className = 'dynamic-tree-container';
+        
+        // Create crown with pink hearts
+        const crown = document.createElement('div');
+        crown.className = 'dynamic-tree-crown';
+        
+        // Create heart layers (pyramid shape)
+        const layers = [
+            { hearts: 1, delay: 0 },
+            { hearts: 3, delay: 0.2 },
+            { hearts: 5, delay: 0.4 },
+            { hearts: 7, delay: 0.6 },
+            { hearts: 5, delay: 0.8 },
+            { hearts: 3, delay: 1.0 }
+        ];
+        
+        layers.forEach((layer, layerIndex) => {
+            const row = document.createElement('div');
+            row.className = 'dynamic-heart-row';
+            
+            for (let i = 0; i < layer.hearts; i++) {
+                const heart = document.createElement('span');
+                heart.className = 'dynamic-heart';
+                heart.textContent = '💕';
+                heart.style.animationDelay = (layer.delay + i * 0.1) + 's';
+                row.appendChild(heart);
+            }
+            
+            crown.appendChild(row);
+            
+            // Animate row appearance
+            this.lifecycle.timeout(() => {
+                row.classList.add('animate');
+            }, layerIndex * 150);
+        });
+        
+        // Create trunk
+        const trunk = document.createElement('div');
+        trunk.className = 'dynamic-tree-trunk';
         
-        // Create crown with pink hearts
-        const crown = document.createElement('div');
-        crown.className = 'dynamic-tree-crown';
+        treeContainer.appendChild(crown);
+        treeContainer.appendChild(trunk);
+        tree.appendChild(treeContainer);
         
-        // Create heart layers (pyramid shape)
-        const layers = [
-            { hearts: 1, delay: 0 },
-            { hearts: 3, delay: 0.2 },
-            { hearts: 5, delay: 0.4 },
-            { hearts: 7, delay: 0.6 },
-            { hearts: 5, delay: 0.8 },
-            { hearts: 3, delay: 1.0 }
-        ];
+        this.lifecycle.attach(tree);
+        this.activeTrees.push(tree);
+        this.root.announcer.announce('A tree of hearts is growing');
+        
+        // Add sparkles around the tree; under reduced motion the tree just appears, grown
+        if (!motion.reduced) {
+            this.lifecycle.timeout(() => {
+                this.addSparkles(tree);
+            }, 1500);
+        }
+        
+        // Remove tree after duration
+        this.lifecycle.timeout(() => {
+            this.removeTree(tree);
+        }, 15000); // Tree stays for 15 seconds
+        
+        // Reset button state once the tree has finished growing
+        this.lifecycle.timeout(() => {
+            this.isGrowing = false;
+            if (this.activeTrees.length === 0) {
+                this.button.classList.remove('active');
+            }
+            this.root.events.emit('tree:grown', { tree });
+        }, 2000);
+    }
+
+    // The celebration's share: three trees, half a second apart
+    growForest() {
+        if (motion.reduced) return;
+
+        for (let i = 0; i < 3; i++) {
+            this.lifecycle.timeout(() => this.createTree(), i * 500);
+        }
+    }
+
+    getRandomPosition() {
+        const margin = 100;
+        const maxWidth = this.root.width - margin * 2;
+        return margin + Math.random() * maxWidth;
+    }
+
+    addSparkles(tree) {
+        const sparkleCount = 12;
+        const treeRect = tree.getBoundingClientRect();
+        
+        for (let i = 0; i < sparkleCount; i++) {
+            this.lifecycle.timeout(() => {
+                const sparkle = document.createElement('div');
+                sparkle.className = 'tree-sparkle';
+                sparkle.textContent = '✨';
+                
+                const angle = (Math.PI * 2 * i) / sparkleCount;
+                const radius = 100;
+                const x = Math.cos(angle) * radius;
+                const y = Math.sin(angle) * radius;
+                
+                sparkle.style.left = '50%';
+                sparkle.style.top = '30%';
+                sparkle.style.transform = `translate(${x}px, ${y}px)`;
+                sparkle.style.animationDelay = (i * 0.1) + 's';
+                
+                tree.appendChild(sparkle);
+            }, i * 100);
+        }
+    }
+
+    removeTree(tree) {
+        // Leaves the count straight away so a new tree can take its place while it fades
+        const index = this.activeTrees.indexOf(tree);
+        if (index === -1) return;
+        this.activeTrees.splice(index, 1);
+
+        tree.classList.add('grow-out');
+        
+        this.lifecycle.timeout(() => {
+            this.lifecycle.detach(tree);
+            
+            if (this.activeTrees.length === 0) {
+                this.button.classList.remove('active');
+            }
+        }, 1500);
+    }
+
+    removeOldestTree() {
+        if (this.activeTrees.length > 0) {
+            const oldestTree = this.activeTrees[0];
+            this.removeTree(oldestTree);
+        }
+    }
+
+    clearAllTrees() {
+        this.activeTrees.forEach(tree => {
+            this.lifecycle.detach(tree);
+        });
+        this.activeTrees = [];
+        this.button.classList.remove('active');
+    }
+
+    destroy() {
+        super.destroy();
+        this.activeTrees = [];
+        this.isGrowing = false;
+        this.button.classList.remove('active');
+    }
+}
+
+// ================================
+// Fireworks Controller
+// ================================
+
+class FireworksController extends Controller {
+    constructor(buttonId, effects, root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.effects = effects;
+        this.isActive = false;
+        
+        this.init();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.launch());
+        this.lifecycle.add(this.root.events.on('celebration:start', () => this.launchShow()));
+    }
+
+    launch() {
+        // Nothing still to show instead; the celebration banner covers the moment
+        if (this.isActive || motion.reduced) return;
+        
+        this.isActive = true;
+        this.button.classList.add('active');
+        this.root.events.emit('fireworks:launch');
+        
+        // Launch multiple fireworks
+        for (let i = 0; i < 8; i++) {
+            this.lifecycle.timeout(() => {
+                this.createFirework();
+            }, i * 400);
+        }
+        
+        // Reset button after sequence
+        this.lifecycle.timeout(() => {
+            this.isActive = false;
+            this.button.classList.remove('active');
+        }, 4000);
+    }
+
+    // The celebration's share: 15 fireworks over 6 seconds
+    launchShow() {
+        if (motion.reduced) return;
+
+        for (let i = 0; i < 15; i++) {
+            this.lifecycle.timeout(() => this.createFirework(), i * 400);
+        }
+    }
+
+    createFirework() {
+        if (motion.reduced) return;
+
+        const startX = Math.random() * this.root.width;
+        const startY = this.root.height;
+        const endX = startX + (Math.random() - 0.5) * 200;
+        const endY = Math.random() * (this.root.height * 0.4) + 100;
+        
+        // Create rocket trail
+        this.createRocketTrail(startX, startY, endX, endY);
+        
+        // Explode after delay
+        this.lifecycle.timeout(() => {
+            this.explode(endX, endY);
+        }, 800);
+    }
+
+    createRocketTrail(startX, startY, endX, endY) {
+        // Rocket travels to its burst point in the same 800ms the explosion waits for
+        const duration = 0.8;
+        this.effects.spawn({
+            kind: 'streak',
+            x: startX,
+            y: startY,
+            vx: (endX - startX) / duration,
+            vy: (endY - startY) / duration,
+            life: duration,
+            size: 3,
+            color: '#ffffff',
+            alphaFrom: 1,
+            alphaTo: 0.6
+        });
+    }
+
+    explode(x, y) {
+        const particleCount = 40;
+        const color = pickColor(getPalette('firework', this.root.state));
+
+        // Add glow effect
+        this.effects.spawn({
+            kind: 'glow',
+            x,
+            y,
+            life: 1,
+            size: 50,
+            color,
+            alphaFrom: 0.8,
+            scaleFrom: 0,
+            scaleTo: 3
+        });
+
+        // Create particles; drag makes each one settle about `velocity` px out
+        const drag = 3;
+        for (let i = 0; i < particleCount; i++) {
+            const angle = (Math.PI * 2 * i) / particleCount;
+            const velocity = 100 + Math.random() * 100;
+
+            this.effects.spawn({
+                kind: 'dot',
+                x,
+                y,
+                vx: Math.cos(angle) * velocity * drag,
+                vy: Math.sin(angle) * velocity * drag,
+                drag,
+                gravity: 40,
+                life: 1.5 + Math.random() * 0.5,
+                size: 4,
+                color,
+                scaleTo: 0
+            });
+        }
+    }
+}
+
+// ================================
+// Ultimate Celebration Controller
+// ================================
+
+class UltimateCelebration extends Controller {
+    constructor(buttonId, effects, root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.effects = effects;
+        this.isActive = false;
+        
+        this.init();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.activate());
+    }
+
+    activate() {
+        if (this.isActive) return;
+        
+        this.isActive = true;
+        this.button.classList.add('active');
+        this.root.announcer.announce('Happy Birthday! The celebration has started');
+
+        // Reduced motion keeps only the message: no flashing, shaking or flying particles
+        if (!motion.reduced) {
+            // Screen flash
+            this.createScreenFlash();
+
+            // Massive confetti
+            this.launchConfetti(200);
+
+            // Heart burst
+            this.heartBurst();
+
+            // Play all effects together
+            this.triggerAllEffects();
+        }
+
+        // Display celebration message
+        this.showCelebrationMessage();
+
+        // Fireworks, trees and any plugins join in through the event bus
+        this.root.events.emit('celebration:start');
+        
+        // Reset after celebration
+        this.lifecycle.timeout(() => {
+            this.isActive = false;
+            this.button.classList.remove('active');
+            this.root.events.emit('celebration:end');
+        }, 8000);
+    }
+
+    createScreenFlash() {
+        const flash = document.createElement('div');
+        flash.className = 'screen-flash';
+        this.lifecycle.attach(flash);
+        
+        this.lifecycle.timeout(() => this.lifecycle.detach(flash), 500);
+    }
+
+    launchConfetti(count) {
+        const colors = getPalette('confetti', this.root.state);
+        const shapes = ['●', '■', '▲', '★', '♥'];
+
+        for (let i = 0; i < count; i++) {
+            const duration = Math.random() * 2 + 2;
+
+            // Fall the full viewport height while spinning twice
+            this.effects.spawn({
+                kind: 'glyph',
+                glyph: shapes[Math.floor(Math.random() * shapes.length)],
+                x: Math.random() * this.root.width,
+                y: -20,
+                vy: (this.root.height + 20) / duration,
+                spin: (Math.PI * 4) / duration,
+                life: duration,
+                delay: i * 0.02 + Math.random() * 0.5,
+                size: Math.random() * 20 + 15,
+                color: pickColor(colors)
+            });
+        }
+    }
+
+    heartBurst() {
+        const hearts = ['♥', '♡', '❤', '💕', '💖', '💗', '💝', '💘'];
+        const colors = getPalette('hearts', this.root.state);
+
+        for (let i = 0; i < 100; i++) {
+            const angle = (Math.PI * 2 * i) / 50;
+            const distance = 200 + Math.random() * 300;
+            const duration = Math.random() * 2 + 2;
+
+            this.effects.spawn({
+                kind: 'glyph',
+                glyph: hearts[Math.floor(Math.random() * hearts.length)],
+                x: this.root.width / 2,
+                y: this.root.height / 2,
+                vx: Math.cos(angle) * distance / duration,
+                vy: Math.sin(angle) * distance / duration,
+                spin: (Math.PI * 4) / duration,
+                life: duration,
+                delay: i * 0.01,
+                size: Math.random() * 30 + 20,
+                color: pickColor(colors),
+                scaleFrom: 0,
+                scaleTo: 1.5
+            });
+        }
+    }
+
+    showCelebrationMessage() {
+        const banner = document.createElement('div');
+        banner.className = 'message-banner';
+        // Already announced; the emoji would be read out one by one
+        banner.setAttribute('aria-hidden', 'true');
+        banner.innerHTML = '<h2>🎊 Happy Birthday! 🎊</h2>';
+        
+        this.lifecycle.attach(banner);
+        
+        this.lifecycle.timeout(() => {
+            banner.classList.add('fade-out');
+            this.lifecycle.timeout(() => this.lifecycle.detach(banner), 1000);
+        }, 4000);
+    }
+
+    triggerAllEffects() {
+        // Shake screen slightly
+        this.root.body.style.animation = 'shake 0.5s ease-in-out';
+        this.lifecycle.timeout(() => {
+            this.root.body.style.animation = '';
+        }, 500);
+    }
+
+    destroy() {
+        super.destroy();
+        this.root.body.style.animation = '';
+        this.isActive = false;
+        this.button.classList.remove('active');
+    }
+}
+
+// ================================
+// Image Carousel Controller
+// ================================
+
+const CAROUSEL_INTERVAL = 5000;
+const CAROUSEL_FADE = 800;
+
+// Gallery images are either file names or { src, caption, date, alt } objects
+function normalizePhoto(image, entry) {
+    const photo = typeof image === 'string' ? { src: image } : image;
+    return {
+        src: photo.src,
+        caption: photo.caption || '',
+        date: photo.date || '',
+        alt: photo.alt || photo.caption || entry.alt || entry.label
+    };
+}
+
+// Resized variants written by tools/build-images.js; opt-in through config.images.manifest,
+// the original files are used without it
+class ImageManifest {
+    // base: where the manifest's relative paths (its keys and variants) live; the widget's
+    // folder for mounted copies, the page otherwise
+    constructor(url, base = null) {
+        this.url = url;
+        this.base = base || document.baseURI;
+        this.images = {};
+        this.unused = [];
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.images = this.rebase(data.images || {});
+            this.unused = data.unused || [];
+        } catch (error) {
+            // Configured but missing (build not run?) or unreadable: keep serving the originals
+            console.warn(`Image manifest ${this.url} unavailable:`, error.message);
+        }
+
+        if (this.unused.length > 0) {
+            console.warn('Unused image assets:', this.unused.join(', '));
+        }
+        return this;
+    }
+
+    // "p4.jpg", "./p4.jpg" and the absolute URL all name the same photo
+    get(src) {
+        return this.images[new URL(src, this.base).href] || null;
+    }
+
+    // Keys and variant paths as absolute URLs
+    rebase(images) {
+        const rebased = {};
+        Object.keys(images).forEach(src => {
+            const image = images[src];
+            const sources = {};
+            Object.keys(image.sources).forEach(format => {
+                sources[format] = image.sources[format].map(variant => ({ ...variant, src: new URL(variant.src, this.base).href }));
+            });
+            rebased[new URL(src, this.base).href] = { ...image, sources };
+        });
+        return rebased;
+    }
+}
+
+// Point an <img> at a photo, through <picture> sources when resized variants exist
+function setPhotoSources(img, photo, sizes) {
+    const variants = photo.variants;
+    let picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+
+    if (variants && !picture) {
+        picture = document.createElement('picture');
+        if (img.parentNode) img.parentNode.insertBefore(picture, img);
+        picture.appendChild(img);
+    }
+
+    if (picture) {
+        picture.querySelectorAll('source').forEach(source => source.remove());
+        if (variants) {
+            // Listed best-first (AVIF, then WebP); the original src is the fallback
+            Object.keys(variants.sources).forEach(format => {
+                const source = document.createElement('source');
+                source.type = `image/${format}`;
+                source.srcset = variants.sources[format].map(variant => `${variant.src} ${variant.width}w`).join(', ');
+                source.sizes = sizes;
+                picture.insertBefore(source, img);
+            });
+        }
+    }
+
+    img.sizes = sizes;
+    img.src = photo.src;
+}
+
+// Files already reported broken; carousels retry the same files, so each is mentioned once
+const failedPhotos = new Set();
+
+// Shared by the carousels and the timeline: blur-up placeholder on `frame`, responsive
+// sources, and a themed gradient plus one warning if the file is missing
+function loadPhoto(img, photo, { sizes, frame = null, onLoad = null, root = pageRoot }) {
+    if (frame && photo.variants) {
+        frame.style.setProperty('--placeholder', `url("${photo.variants.placeholder}")`);
+    }
+
+    img.onload = () => {
+        img.alt = photo.alt;
+        if (onLoad) onLoad();
+    };
+    img.onerror = () => {
+        // Fallback gradient if image fails to load
+        img.style.background = 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))';
+
+        if (!failedPhotos.has(photo.src)) {
+            failedPhotos.add(photo.src);
+            root.toasts.warning(`A photo couldn't be loaded (${photo.src})`, { key: `image:${photo.src}` });
+        }
+    };
+    setPhotoSources(img, photo, sizes);
+}
+
+// "2023-02-14" -> "February 14, 2023", "2023-02" -> "February 2023"; read as calendar
+// days rather than UTC instants so the day never shifts with the viewer's time zone
+function formatPhotoDate(date) {
+    const match = date.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return date;
+    if (!match[2]) return match[1];
+
+    const day = new Date(+match[1], +match[2] - 1, match[3] ? +match[3] : 1);
+    return day.toLocaleDateString(undefined, match[3]
+        ? { year: 'numeric', month: 'long', day: 'numeric' }
+        : { year: 'numeric', month: 'long' });
+}
+
+// Rendered width of a grid carousel, for picking a variant from srcset
+const CAROUSEL_SIZES = '(max-width: 768px) 90vw, 33vw';
+
+class ImageCarouselController extends Controller {
+    constructor(gallery = DEFAULT_CONFIG.gallery, lightbox = null, manifest = null, root = pageRoot) {
+        super(root);
+        this.carousels = this.root.queryAll('.image-carousel');
+        this.lightbox = lightbox;
+
+        // Category -> photo list, built from the configured gallery
+        this.imageDatabase = {};
+        gallery.forEach(entry => {
+            this.imageDatabase[entry.category] = entry.images.map(image => {
+                const photo = normalizePhoto(image, entry);
+                photo.variants = manifest ? manifest.get(photo.src) : null;
+                return photo;
+            });
+        });
+
+        this.currentIndices = {};
+        this.rotations = {};
+        this.preloaded = new Set();
+        this.init();
+    }
+
+    init() {
+        this.carousels.forEach(carousel => {
+            const category = carousel.getAttribute('data-category');
+            const img = carousel.querySelector('.carousel-image');
+            
+            if (this.imageDatabase[category]) {
+                this.currentIndices[category] = 0;
+                this.rotations[category] = { timer: null, holds: new Set(), started: false };
+                img.decoding = 'async';
+                this.setupInteractions(carousel, category);
+
+                // Without an observer there's no way to defer, so load right away
+                if (!('IntersectionObserver' in window)) {
+                    this.start(carousel, category);
+                }
+            }
+        });
+
+        if (this.lightbox) {
+            this.lightbox.onClose = () => {
+                Object.keys(this.rotations).forEach(category => this.release(category, 'lightbox'));
+            };
+        }
+
+        // Auto-advancing photos count as motion; paging by hand and the lightbox still work
+        const holdForMotion = (reduced) => {
+            Object.keys(this.rotations).forEach(category => {
+                if (reduced) {
+                    this.hold(category, 'motion');
+                } else {
+                    this.release(category, 'motion');
+                }
+            });
+        };
+        holdForMotion(motion.reduced);
+        this.lifecycle.add(motion.subscribe(holdForMotion));
+    }
+
+    setupInteractions(carousel, category) {
+        carousel.setAttribute('tabindex', '0');
+        carousel.setAttribute('role', 'button');
+        carousel.setAttribute('aria-label', `Open ${category} photos`);
+
+        const hold = () => this.hold(category, 'hover');
+        const release = () => this.release(category, 'hover');
+        this.lifecycle.listen(carousel, 'pointerenter', hold);
+        this.lifecycle.listen(carousel, 'pointerleave', release);
+        this.lifecycle.listen(carousel, 'focusin', hold);
+        this.lifecycle.listen(carousel, 'focusout', release);
+
+        const open = () => this.open(category);
+        this.lifecycle.listen(carousel, 'click', open);
+        this.lifecycle.listen(carousel, 'keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open();
+            }
+        });
+
+        // Offscreen carousels neither download nor rotate until they scroll into view
+        if ('IntersectionObserver' in window) {
+            const observer = this.lifecycle.observe(new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.start(carousel, category);
+                        this.release(category, 'offscreen');
+                    } else {
+                        this.hold(category, 'offscreen');
+                    }
+                });
+            }));
+            observer.observe(carousel);
+        }
+    }
+
+    start(carousel, category) {
+        if (this.rotations[category].started) return;
+        this.rotations[category].started = true;
+
+        // Initialize with first image
+        this.loadImage(carousel.querySelector('.carousel-image'), this.imageDatabase[category][0], category);
+
+        // Start rotation
+        this.startRotation(carousel, category);
+    }
+
+    open(category = Object.keys(this.rotations)[0]) {
+        if (!this.lightbox || !this.imageDatabase[category]) return;
+
+        Object.keys(this.rotations).forEach(name => this.hold(name, 'lightbox'));
+        this.lightbox.open(this.imageDatabase[category], this.currentIndices[category]);
+    }
+
+    // Manual navigation; pages the lightbox when it's open, otherwise every visible carousel
+    step(delta) {
+        if (this.lightbox && this.lightbox.isOpen) {
+            if (delta > 0) {
+                this.lightbox.next();
+            } else {
+                this.lightbox.previous();
+            }
+            return;
+        }
+
+        this.carousels.forEach(carousel => {
+            const category = carousel.getAttribute('data-category');
+            const images = this.imageDatabase[category];
+            if (!images || !this.rotations[category].started) return;
+
+            this.currentIndices[category] = (this.currentIndices[category] + delta + images.length) % images.length;
+            this.loadImage(carousel.querySelector('.carousel-image'), images[this.currentIndices[category]], category);
+        });
+    }
+
+    destroy() {
+        super.destroy();
+        this.carousels.forEach(carousel => {
+            ['tabindex', 'role', 'aria-label'].forEach(name => carousel.removeAttribute(name));
+        });
+        if (this.lightbox) this.lightbox.onClose = null;
+    }
+
+    // Rotation runs only while nothing (hover, offscreen, lightbox, motion) is holding it
+    hold(category, reason) {
+        this.rotations[category].holds.add(reason);
+    }
+
+    release(category, reason) {
+        this.rotations[category].holds.delete(reason);
+    }
+
+    isHeld(category) {
+        return this.rotations[category].holds.size > 0;
+    }
+
+    loadImage(imgElement, photo, category) {
+        loadPhoto(imgElement, photo, {
+            sizes: CAROUSEL_SIZES,
+            frame: imgElement.closest('.image-carousel'),
+            root: this.root,
+            onLoad: () => {
+                imgElement.classList.add('active');
+                this.preloadNext(category);
+            }
+        });
+        this.preloaded.add(photo.src);
+    }
+
+    // Warm the cache for the upcoming photo only, picking the same variant the carousel will
+    preloadNext(category) {
+        const images = this.imageDatabase[category];
+        const next = images[(this.currentIndices[category] + 1) % images.length];
+        if (this.preloaded.has(next.src)) return;
+
+        this.preloaded.add(next.src);
+        setPhotoSources(new Image(), next, CAROUSEL_SIZES);
+    }
+
+    startRotation(carousel, category) {
+        const img = carousel.querySelector('.carousel-image');
+        const images = this.imageDatabase[category];
+        if (images.length < 2) return;
         
-        layers.forEach((layer, layerIndex) => {
-            const row = document.createElement('div');
-            row.className = 'dynamic-heart-row';
+        this.rotations[category].timer = this.lifecycle.interval(() => {
+            if (this.isHeld(category)) return;
+
+            // Fade out current image
+            img.classList.remove('active');
             
-            for (let i = 0; i < layer.hearts; i++) {
-                const heart = document.createElement('span');
-                heart.className = 'dynamic-heart';
-                heart.textContent = '💕';
-                heart.style.animationDelay = (layer.delay + i * 0.1) + 's';
-                row.appendChild(heart);
+            this.lifecycle.timeout(() => {
+                // Move to next image
+                this.currentIndices[category] = (this.currentIndices[category] + 1) % images.length;
+                const nextImage = images[this.currentIndices[category]];
+                
+                // Load and fade in new image
+                this.loadImage(img, nextImage, category);
+            }, CAROUSEL_FADE); // Wait for fade out
+            
+        }, CAROUSEL_INTERVAL);
+    }
+}
+
+// ================================
+// Photo Lightbox
+// ================================
+
+const LIGHTBOX_SLIDESHOW_INTERVAL = 4000;
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_SWIPE_DISTANCE = 50;
+
+class PhotoLightbox extends Controller {
+    constructor(root = pageRoot) {
+        super(root);
+        this.element = null;
+        this.photos = [];
+        this.index = 0;
+        this.slideshowTimer = null;
+        this.returnFocus = null;
+        this.onClose = null;
+
+        // Zoom and pan of the current photo
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+    }
+
+    get isOpen() {
+        return !!this.element && !this.element.hidden;
+    }
+
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'lightbox';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Photo viewer');
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="lightbox-stage">
+                <img class="lightbox-image" alt="" draggable="false">
+            </div>
+            <button type="button" class="lightbox-btn lightbox-prev" data-action="previous" aria-label="Previous photo">‹</button>
+            <button type="button" class="lightbox-btn lightbox-next" data-action="next" aria-label="Next photo">›</button>
+            <div class="lightbox-toolbar">
+                <span class="lightbox-counter" aria-live="polite"></span>
+                <button type="button" class="lightbox-btn" data-action="slideshow" aria-pressed="false">Slideshow</button>
+                <button type="button" class="lightbox-btn" data-action="close" aria-label="Close photo viewer">×</button>
+            </div>
+            <div class="lightbox-caption">
+                <span class="lightbox-caption-text"></span>
+                <time class="lightbox-date"></time>
+            </div>
+        `;
+
+        this.stage = this.element.querySelector('.lightbox-stage');
+        this.image = this.element.querySelector('.lightbox-image');
+        this.counter = this.element.querySelector('.lightbox-counter');
+        this.captionText = this.element.querySelector('.lightbox-caption-text');
+        this.dateElement = this.element.querySelector('.lightbox-date');
+        this.slideshowButton = this.element.querySelector('[data-action="slideshow"]');
+
+        const actions = {
+            previous: () => this.previous(),
+            next: () => this.next(),
+            slideshow: () => this.toggleSlideshow(),
+            close: () => this.close()
+        };
+        this.element.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.getAttribute('data-action')]());
+        });
+
+        // Clicking the backdrop (not the photo) closes
+        this.stage.addEventListener('click', (e) => {
+            if (e.target === this.stage && !this.gesture) this.close();
+        });
+
+        this.stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomTo(this.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15));
+        }, { passive: false });
+        this.image.addEventListener('dblclick', () => this.zoomTo(this.scale > 1 ? 1 : 2));
+
+        this.lifecycle.attach(this.element);
+    }
+
+    open(photos, index = 0) {
+        if (!this.element) this.build();
+
+        this.photos = photos;
+        this.returnFocus = this.root.activeElement;
+        this.element.hidden = false;
+        this.element.classList.toggle('single-photo', photos.length < 2);
+        this.root.node.addEventListener('keydown', this.handleKeydown);
+        this.show(index);
+        this.element.querySelector('[data-action="close"]').focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.stopSlideshow();
+        this.element.hidden = true;
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        if (this.onClose) this.onClose();
+    }
+
+    destroy() {
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+        super.destroy();
+        this.element = null;
+        this.slideshowTimer = null;
+    }
+
+    show(index) {
+        const count = this.photos.length;
+        this.index = (index + count) % count;
+        const photo = this.photos[this.index];
+
+        this.resetZoom();
+        setPhotoSources(this.image, photo, '90vw');
+        this.image.alt = photo.alt;
+        this.counter.textContent = `${this.index + 1} / ${count}`;
+        this.captionText.textContent = photo.caption;
+        this.dateElement.textContent = photo.date ? formatPhotoDate(photo.date) : '';
+        this.dateElement.setAttribute('datetime', photo.date);
+        this.element.querySelector('.lightbox-caption').hidden = !photo.caption && !photo.date;
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    previous() {
+        this.show(this.index - 1);
+    }
+
+    toggleSlideshow() {
+        if (this.slideshowTimer) {
+            this.stopSlideshow();
+        } else {
+            this.slideshowTimer = this.lifecycle.interval(() => this.next(), LIGHTBOX_SLIDESHOW_INTERVAL);
+            this.slideshowButton.setAttribute('aria-pressed', 'true');
+            this.slideshowButton.classList.add('active');
+        }
+    }
+
+    stopSlideshow() {
+        this.lifecycle.clear(this.slideshowTimer);
+        this.slideshowTimer = null;
+        if (this.slideshowButton) {
+            this.slideshowButton.setAttribute('aria-pressed', 'false');
+            this.slideshowButton.classList.remove('active');
+        }
+    }
+
+    onKeydown(e) {
+        switch (e.key) {
+            case 'ArrowRight':
+                this.next();
+                break;
+            case 'ArrowLeft':
+                this.previous();
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            case '+':
+            case '=':
+                this.zoomTo(this.scale * 1.5);
+                break;
+            case '-':
+                this.zoomTo(this.scale / 1.5);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // Keep Tab cycling inside the dialog while it is open
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button'))
+            .filter(button => button.offsetParent !== null || button === this.root.activeElement);
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && this.root.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && this.root.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.applyTransform();
+    }
+
+    zoomTo(scale) {
+        this.scale = Math.min(Math.max(scale, 1), LIGHTBOX_MAX_ZOOM);
+        if (this.scale === 1) {
+            this.offsetX = 0;
+            this.offsetY = 0;
+        }
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        this.image.style.transform = `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`;
+        this.element.classList.toggle('zoomed', this.scale > 1);
+    }
+
+    // One pointer swipes between photos (or pans when zoomed); two pointers pinch-zoom
+    onPointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.stage.setPointerCapture) this.stage.setPointerCapture(e.pointerId);
+
+        if (this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+                scale: this.scale
+            };
+        } else if (this.pointers.size === 1) {
+            this.gesture = {
+                type: this.scale > 1 ? 'pan' : 'swipe',
+                startX: e.clientX,
+                startY: e.clientY,
+                offsetX: this.offsetX,
+                offsetY: this.offsetY,
+                moved: false
+            };
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            this.zoomTo(this.gesture.scale * Math.hypot(a.x - b.x, a.y - b.y) / this.gesture.distance);
+        } else if (this.gesture.type === 'pan') {
+            this.offsetX = this.gesture.offsetX + e.clientX - this.gesture.startX;
+            this.offsetY = this.gesture.offsetY + e.clientY - this.gesture.startY;
+            this.gesture.moved = true;
+            this.applyTransform();
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        const gesture = this.gesture;
+        if (gesture && gesture.type === 'swipe') {
+            const dx = e.clientX - gesture.startX;
+            const dy = e.clientY - gesture.startY;
+            if (Math.abs(dx) > LIGHTBOX_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.previous();
+                }
+                gesture.moved = true;
+            }
+        }
+
+        if (this.pointers.size === 0) {
+            // Let the click that follows a drag know it wasn't a tap
+            this.lifecycle.timeout(() => { this.gesture = null; }, 0);
+            if (gesture && !gesture.moved) this.gesture = null;
+        }
+    }
+}
+
+// ================================
+// Memory Timeline
+// ================================
+
+// Rendered width of a timeline photo, for picking a variant from srcset
+const TIMELINE_SIZES = '(max-width: 768px) 90vw, 400px';
+
+class MemoryTimeline extends Controller {
+    constructor(sectionId, timeline = DEFAULT_CONFIG.timeline, options = {}, root = pageRoot) {
+        super(root);
+        this.section = this.root.byId(sectionId);
+        this.list = this.section ? this.section.querySelector('.timeline') : null;
+        this.lightbox = options.lightbox || null;
+        this.manifest = options.manifest || null;
+
+        // Oldest first; ISO-style dates sort correctly as strings
+        this.entries = (timeline.entries || []).slice().sort((a, b) => a.date.localeCompare(b.date));
+        this.photos = [];
+        this.init();
+    }
+
+    init() {
+        if (!this.list || this.entries.length === 0) return;
+
+        this.render();
+        this.section.hidden = false;
+        this.observe();
+    }
+
+    render() {
+        let year = null;
+        let side = 0;
+
+        this.entries.forEach(entry => {
+            const entryYear = entry.date.slice(0, 4);
+            if (entryYear !== year) {
+                year = entryYear;
+                const marker = document.createElement('li');
+                marker.className = 'timeline-year';
+                marker.textContent = year;
+                this.list.appendChild(marker);
+            }
+
+            this.list.appendChild(this.createEntry(entry, side++ % 2 === 0 ? 'left' : 'right'));
+        });
+    }
+
+    createEntry(entry, side) {
+        const item = document.createElement('li');
+        item.className = `timeline-entry timeline-entry-${side}`;
+        item.innerHTML = `
+            <article class="timeline-card">
+                <time class="timeline-date"></time>
+                <h3 class="timeline-heading"></h3>
+            </article>
+        `;
+
+        // Config text goes in as textContent, never as markup
+        const card = item.querySelector('.timeline-card');
+        const time = item.querySelector('.timeline-date');
+        time.setAttribute('datetime', entry.date);
+        time.textContent = formatPhotoDate(entry.date);
+        item.querySelector('.timeline-heading').textContent = entry.title;
+
+        if (entry.photo) {
+            const photo = normalizePhoto(entry.photo, { label: entry.title });
+            photo.variants = this.manifest ? this.manifest.get(photo.src) : null;
+            if (!photo.caption) photo.caption = entry.title;
+            if (!photo.date) photo.date = entry.date;
+
+            const frame = document.createElement('button');
+            frame.type = 'button';
+            frame.className = 'timeline-photo';
+            frame.setAttribute('aria-label', `Enlarge photo: ${entry.title}`);
+            const img = document.createElement('img');
+            img.className = 'timeline-image';
+            img.alt = photo.alt;
+            img.decoding = 'async';
+            frame.appendChild(img);
+            card.appendChild(frame);
+
+            const index = this.photos.push(photo) - 1;
+            frame.addEventListener('click', () => {
+                if (this.lightbox) this.lightbox.open(this.photos, index);
+            });
+            item.photo = { img, photo, frame };
+        }
+
+        if (entry.text) {
+            const text = document.createElement('p');
+            text.className = 'timeline-text';
+            text.textContent = entry.text;
+            card.appendChild(text);
+        }
+
+        return item;
+    }
+
+    // Entries fade in as they scroll into view, downloading their photo at the same time
+    observe() {
+        const items = this.list.querySelectorAll('.timeline-entry, .timeline-year');
+
+        if (!('IntersectionObserver' in window)) {
+            items.forEach(item => this.reveal(item));
+            return;
+        }
+
+        const observer = this.lifecycle.observe(new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.reveal(entry.target);
+                observer.unobserve(entry.target);
+            });
+        }, { threshold: 0.2, rootMargin: '0px 0px -10% 0px' }));
+
+        items.forEach(item => observer.observe(item));
+    }
+
+    // Empties the list it filled; the section goes back to hidden
+    destroy() {
+        super.destroy();
+        if (!this.list || this.entries.length === 0) return;
+
+        this.list.textContent = '';
+        this.section.hidden = true;
+    }
+
+    reveal(item) {
+        item.classList.add('revealed');
+
+        if (item.photo) {
+            const { img, photo, frame } = item.photo;
+            loadPhoto(img, photo, {
+                sizes: TIMELINE_SIZES,
+                frame,
+                root: this.root,
+                onLoad: () => img.classList.add('active')
+            });
+            item.photo = null;
+        }
+    }
+}
+
+// ================================
+// Love Letter
+// ================================
+
+const LETTER_DEFAULT_SPEED = 40; // Milliseconds per character
+
+// Extra beats (multiples of the typing speed) after punctuation, so the letter reads aloud
+const LETTER_PAUSES = {
+    '.': 10,
+    '!': 10,
+    '?': 10,
+    '…': 12,
+    ',': 4,
+    ';': 5,
+    ':': 5,
+    '—': 4,
+    '\n': 8
+};
+
+// Markdown-lite, returned as plain data rather than HTML so nothing in the letter can
+// become markup: **bold**, *italic* or _italic_, a newline breaks the line and a blank
+// line starts a new paragraph.
+function parseLetter(text) {
+    const inline = /\*\*([^*]+)\*\*|\*([^*\n]+)\*|_([^_\n]+)_/g;
+
+    return text.trim().split(/\n\s*\n/).map(paragraph => {
+        const runs = [];
+        const pushText = (value, style) => {
+            value.split('\n').forEach((line, index) => {
+                if (index > 0) runs.push({ type: 'break' });
+                if (line) runs.push({ type: 'text', text: line, style });
+            });
+        };
+
+        let last = 0;
+        let match;
+        while ((match = inline.exec(paragraph)) !== null) {
+            pushText(paragraph.slice(last, match.index), null);
+            pushText(match[1] || match[2] || match[3], match[1] ? 'bold' : 'italic');
+            last = inline.lastIndex;
+        }
+        pushText(paragraph.slice(last), null);
+
+        return runs;
+    });
+}
+
+class LoveLetter extends Controller {
+    constructor(hostSelector, letter, config, root = pageRoot) {
+        super(root);
+        this.host = this.root.query(hostSelector);
+        this.letter = letter;
+        this.config = config;
+        this.envelope = null;
+        this.overlay = null;
+        this.timer = null;
+        this.queue = [];
+        this.finished = false;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.host || !this.letter.text) return;
+
+        this.envelope = document.createElement('button');
+        this.envelope.type = 'button';
+        this.envelope.className = 'letter-envelope';
+        this.envelope.setAttribute('aria-haspopup', 'dialog');
+        this.envelope.innerHTML = `
+            <span class="envelope-back"></span>
+            <span class="envelope-flap"></span>
+            <span class="envelope-front"></span>
+            <span class="envelope-seal">♥</span>
+            <span class="envelope-label">A letter for you</span>
+        `;
+        this.envelope.addEventListener('click', () => this.open());
+        this.lifecycle.attach(this.envelope, this.host);
+    }
+
+    // Reduced motion (system setting or the visitor's choice) skips straight to the text
+    get instant() {
+        return motion.reduced;
+    }
+
+    build() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'letter-overlay';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.setAttribute('aria-label', 'Letter');
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <article class="letter-paper">
+                <p class="letter-salutation"></p>
+                <div class="letter-body"></div>
+                <p class="letter-signature"></p>
+                <div class="letter-actions">
+                    <button type="button" class="control-btn letter-skip">Skip</button>
+                    <button type="button" class="control-btn letter-close">Close</button>
+                </div>
+            </article>
+        `;
+
+        this.paper = this.overlay.querySelector('.letter-paper');
+        this.body = this.overlay.querySelector('.letter-body');
+        this.skipButton = this.overlay.querySelector('.letter-skip');
+        this.overlay.querySelector('.letter-salutation').textContent = formatTemplate(this.letter.salutation || '', this.config);
+        this.overlay.querySelector('.letter-signature').textContent = formatTemplate(this.letter.signature || '', this.config);
+
+        this.skipButton.addEventListener('click', () => this.skip());
+        this.overlay.querySelector('.letter-close').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.renderStructure();
+        this.lifecycle.attach(this.overlay);
+    }
+
+    // Lay out paragraphs and styled runs up front with empty text nodes, then type into them
+    renderStructure() {
+        this.queue = [];
+
+        parseLetter(formatTemplate(this.letter.text, this.config)).forEach(runs => {
+            const paragraph = document.createElement('p');
+            runs.forEach(run => {
+                if (run.type === 'break') {
+                    const br = document.createElement('br');
+                    paragraph.appendChild(br);
+                    this.queue.push({ node: null, text: '\n' });
+                    return;
+                }
+
+                let parent = paragraph;
+                if (run.style) {
+                    parent = document.createElement(run.style === 'bold' ? 'strong' : 'em');
+                    paragraph.appendChild(parent);
+                }
+                const node = document.createTextNode('');
+                parent.appendChild(node);
+                this.queue.push({ node, text: run.text, paragraph });
+            });
+            this.body.appendChild(paragraph);
+            this.queue.push({ node: null, text: '\n' });
+        });
+    }
+
+    open() {
+        if (!this.overlay) this.build();
+        if (!this.overlay.hidden) return;
+
+        this.envelope.classList.add('open');
+        this.root.node.addEventListener('keydown', this.handleKeydown);
+
+        const reveal = () => {
+            this.overlay.hidden = false;
+            this.overlay.classList.toggle('instant', this.instant);
+            this.skipButton.focus();
+
+            if (this.finished || this.instant) {
+                this.skip();
+            } else {
+                this.overlay.classList.add('typing');
+                this.body.setAttribute('aria-busy', 'true');
+                // Let the paper finish unfolding before the first letter appears
+                this.timer = this.lifecycle.timeout(() => this.type(0, 0), 700);
+            }
+        };
+
+        if (this.instant) {
+            reveal();
+        } else {
+            this.timer = this.lifecycle.timeout(reveal, 600); // Flap opens first
+        }
+    }
+
+    type(runIndex, charIndex) {
+        const speed = this.letter.speed ?? LETTER_DEFAULT_SPEED;
+        const run = this.queue[runIndex];
+        if (!run) {
+            this.finish();
+            return;
+        }
+
+        if (!run.node) {
+            // Paragraph and line breaks are already in place; just take a breath
+            this.timer = this.lifecycle.timeout(() => this.type(runIndex + 1, 0), speed * LETTER_PAUSES['\n']);
+            return;
+        }
+
+        // The caret follows the paragraph being written
+        if (charIndex === 0 && !run.paragraph.classList.contains('writing')) {
+            this.body.querySelectorAll('p.writing').forEach(p => p.classList.remove('writing'));
+            run.paragraph.classList.add('writing');
+        }
+
+        const char = run.text[charIndex];
+        run.node.appendData(char);
+
+        const delay = speed * (1 + (LETTER_PAUSES[char] || 0));
+        if (charIndex + 1 < run.text.length) {
+            this.timer = this.lifecycle.timeout(() => this.type(runIndex, charIndex + 1), delay);
+        } else {
+            this.timer = this.lifecycle.timeout(() => this.type(runIndex + 1, 0), delay);
+        }
+    }
+
+    // Show everything at once
+    skip() {
+        this.lifecycle.clear(this.timer);
+        this.timer = null;
+        this.queue.forEach(run => {
+            if (run.node) run.node.data = run.text;
+        });
+        this.finish();
+    }
+
+    finish() {
+        this.finished = true;
+        this.overlay.classList.remove('typing');
+        this.overlay.classList.add('complete');
+        this.body.removeAttribute('aria-busy');
+        this.skipButton.hidden = true;
+        if (this.root.activeElement === this.skipButton || !this.overlay.contains(this.root.activeElement)) {
+            this.overlay.querySelector('.letter-close').focus();
+        }
+    }
+
+    close() {
+        this.lifecycle.clear(this.timer);
+        this.timer = null;
+        this.envelope.classList.remove('open');
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+
+        if (!this.overlay || this.overlay.hidden) return;
+
+        // Closing half-way fills in the rest, so reopening shows the whole letter
+        if (!this.finished) this.skip();
+        this.overlay.hidden = true;
+        this.envelope.focus();
+    }
+
+    destroy() {
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+        super.destroy();
+        this.envelope = null;
+        this.overlay = null;
+        this.timer = null;
+    }
+}
+
+class InteractiveEffects extends Controller {
+    constructor(root = pageRoot) {
+        super(root);
+        this.init();
+    }
+
+    init() {
+        this.addImageHoverEffects();
+    }
+
+    addImageHoverEffects() {
+        const carousels = this.root.queryAll('.image-carousel');
+        carousels.forEach(carousel => {
+            this.lifecycle.listen(carousel, 'mouseenter', () => {
+                carousel.style.transition = 'transform 0.3s ease';
+            });
+        });
+    }
+}
+
+// ================================
+// Birthday Calendar & Countdown
+// ================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds the wall clock of a time zone is ahead of UTC at an instant
+function getTimeZoneOffset(instant, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(instant)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const wallClock = Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+// UTC instant of midnight at the start of a calendar day in a time zone
+function zonedMidnight(year, month, day, timeZone) {
+    const guess = Date.UTC(year, month - 1, day);
+    const first = guess - getTimeZoneOffset(guess, timeZone);
+    // Re-measure at the first answer in case a DST switch sits in between
+    return guess - getTimeZoneOffset(first, timeZone);
+}
+
+class BirthdayCalendar {
+    constructor(birthday) {
+        const [, year, month, day] = birthday.date.match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+        this.birthYear = year ? +year : null;
+        this.month = +month;
+        this.day = +day;
+        this.timeZone = birthday.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.belatedDays = birthday.belatedDays;
+    }
+
+    getBounds(year) {
+        return {
+            start: zonedMidnight(year, this.month, this.day, this.timeZone),
+            end: zonedMidnight(year, this.month, this.day + 1, this.timeZone)
+        };
+    }
+
+    // 'countdown' (with the instant it ends), 'celebration' or 'belated'
+    getPhase(now = Date.now()) {
+        const currentYear = +new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, year: 'numeric' })
+            .format(new Date(now));
+
+        const belatedMs = this.belatedDays * DAY_MS;
+
+        // This year's birthday comes first, so a long belated window can't hide it
+        const current = this.getBounds(currentYear);
+        if (now >= current.start && now < current.end) {
+            return { phase: 'celebration', target: current.end, year: currentYear };
+        }
+        if (now >= current.end) {
+            if (now < current.end + belatedMs) return { phase: 'belated', target: null, year: currentYear };
+            const year = currentYear + 1;
+            return { phase: 'countdown', target: this.getBounds(year).start, year };
+        }
+
+        // Before this year's birthday: last year's can still be belated (early January)
+        if (now < this.getBounds(currentYear - 1).end + belatedMs) {
+            return { phase: 'belated', target: null, year: currentYear - 1 };
+        }
+        return { phase: 'countdown', target: current.start, year: currentYear };
+    }
+
+    // Age reached on the upcoming (or current) birthday, when a birth year is known
+    getAge(now = Date.now()) {
+        if (this.birthYear === null) return null;
+        return this.getPhase(now).year - this.birthYear;
+    }
+}
+
+class BirthdayCountdown extends Controller {
+    constructor(sectionId, onArrive, root = pageRoot) {
+        super(root);
+        this.section = this.root.byId(sectionId);
+        this.onArrive = onArrive;
+        this.interval = null;
+        this.target = null;
+        this.interacted = false;
+
+        this.init();
+    }
+
+    init() {
+        // Music may only start on arrival if the visitor has touched the page
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            this.lifecycle.listen(document, type, () => {
+                this.interacted = true;
+            }, { once: true });
+        });
+    }
+
+    hasInteracted() {
+        if (navigator.userActivation) {
+            return navigator.userActivation.hasBeenActive;
+        }
+        return this.interacted;
+    }
+
+    start(target) {
+        this.target = target;
+        this.root.body.setAttribute('data-mode', 'countdown');
+        this.section.hidden = false;
+
+        this.tick();
+        this.interval = this.lifecycle.interval(() => this.tick(), 1000);
+    }
+
+    tick() {
+        const remaining = Math.max(this.target - Date.now(), 0);
+        const totalSeconds = Math.floor(remaining / 1000);
+        const values = {
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor(totalSeconds / 3600) % 24,
+            minutes: Math.floor(totalSeconds / 60) % 60,
+            seconds: totalSeconds % 60
+        };
+
+        Object.keys(values).forEach(unit => {
+            const element = this.section.querySelector(`[data-unit="${unit}"]`);
+            if (element) {
+                element.textContent = String(values[unit]).padStart(2, '0');
+            }
+        });
+
+        if (remaining === 0) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        this.lifecycle.clear(this.interval);
+        this.interval = null;
+
+        this.section.hidden = true;
+        this.root.body.setAttribute('data-mode', 'celebration');
+        this.root.events.emit('birthday:arrive');
+        this.onArrive();
+    }
+
+    // The clock kept going while paused, so catch up straight away
+    resume() {
+        super.resume();
+        if (this.interval) this.tick();
+    }
+
+    destroy() {
+        super.destroy();
+        this.interval = null;
+        if (this.section) this.section.hidden = true;
+    }
+}
+
+// ================================
+// Candle Cake
+// ================================
+
+const CAKE_DEFAULT_CANDLES = 5;
+const CAKE_MAX_CANDLES = 30; // Past this the candles stop fitting on the cake
+
+// Turns microphone samples into "blow" events
+class BlowDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? 0.18;
+        this.sustainMs = options.sustainMs ?? 150;
+        this.loudSince = null;
+    }
+
+    // Root-mean-square level of 8-bit time-domain samples, 0..1
+    level(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const value = (samples[i] - 128) / 128;
+            sum += value * value;
+        }
+        return Math.sqrt(sum / samples.length);
+    }
+
+    // True once for every sustainMs the input stays above the threshold
+    process(samples, timestamp) {
+        if (this.level(samples) < this.threshold) {
+            this.loudSince = null;
+            return false;
+        }
+
+        if (this.loudSince === null) {
+            this.loudSince = timestamp;
+            return false;
+        }
+
+        if (timestamp - this.loudSince >= this.sustainMs) {
+            this.loudSince = timestamp;
+            return true;
+        }
+
+        return false;
+    }
+}
+
+class CandleCake extends Controller {
+    constructor(container, options = {}, root = pageRoot) {
+        super(root);
+        this.container = container;
+        this.candleCount = Math.min(Math.max(Math.round(options.candles) || CAKE_DEFAULT_CANDLES, 1), CAKE_MAX_CANDLES);
+        this.message = options.message || '';
+        this.fireworksController = options.fireworksController || null;
+        this.onWish = options.onWish || null;
+        this.detector = new BlowDetector(options.detector);
+
+        this.candles = [];
+        this.audioContext = null;
+        this.ownsContext = false;
+        this.source = null;
+        this.ownedStream = null;
+        this.listening = false;
+        this.frameId = null;
+
+        this.init();
+    }
+
+    init() {
+        this.element = document.createElement('div');
+        this.element.className = 'candle-cake';
+
+        const candleRow = document.createElement('div');
+        candleRow.className = 'cake-candles';
+        for (let i = 0; i < this.candleCount; i++) {
+            const candle = document.createElement('button');
+            candle.type = 'button';
+            candle.className = 'candle';
+            candle.setAttribute('aria-label', `Blow out candle ${i + 1}`);
+            candle.innerHTML = '<span class="flame"></span>';
+            candle.addEventListener('click', () => this.blowOut(candle));
+            candleRow.appendChild(candle);
+            this.candles.push(candle);
+        }
+
+        const body = document.createElement('div');
+        body.className = 'cake-body';
+        body.innerHTML = '<div class="cake-layer cake-layer-top"></div><div class="cake-layer cake-layer-bottom"></div>';
+
+        const controls = document.createElement('div');
+        controls.className = 'cake-controls';
+
+        this.micButton = document.createElement('button');
+        this.micButton.type = 'button';
+        this.micButton.className = 'cake-mic-btn';
+        this.micButton.textContent = '🎤 Blow with microphone';
+        this.micButton.addEventListener('click', () => this.enableMicrophone());
+
+        this.status = document.createElement('p');
+        this.status.className = 'cake-status';
+        this.status.setAttribute('aria-live', 'polite');
+        this.status.textContent = `Make a wish and blow out ${this.candleCount === 1 ? 'the candle' : `all ${this.candleCount} candles`} — or tap them.`;
+
+        controls.appendChild(this.micButton);
+        controls.appendChild(this.status);
+
+        this.messageElement = document.createElement('p');
+        this.messageElement.className = 'cake-message';
+        this.messageElement.textContent = this.message;
+        this.messageElement.hidden = true;
+
+        this.element.appendChild(candleRow);
+        this.element.appendChild(body);
+        this.element.appendChild(controls);
+        this.element.appendChild(this.messageElement);
+        this.lifecycle.attach(this.element, this.container);
+    }
+
+    getLitCandles() {
+        return this.candles.filter(candle => !candle.classList.contains('out'));
+    }
+
+    blowOut(candle) {
+        if (candle.classList.contains('out')) return;
+
+        candle.classList.add('out');
+        candle.disabled = true;
+
+        if (this.getLitCandles().length === 0) {
+            this.celebrate();
+        }
+    }
+
+    blowOutNext() {
+        const lit = this.getLitCandles();
+        if (lit.length > 0) {
+            // Pick a random candle so a long breath sweeps across the cake
+            this.blowOut(lit[Math.floor(Math.random() * lit.length)]);
+        }
+    }
+
+    async enableMicrophone() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.status.textContent = 'Microphone not supported here — tap the candles instead.';
+            return;
+        }
+
+        let stream = null;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.listen(stream);
+            this.ownedStream = stream;
+        } catch (error) {
+            // listen() can fail after the microphone was granted; don't leave it (or a
+            // half-built audio graph) open
+            if (stream) {
+                this.stopListening();
+                stream.getTracks().forEach(track => track.stop());
+            }
+            console.warn('Microphone unavailable:', error.message);
+            this.root.toasts.warning("The microphone couldn't be used — tap the candles instead", { key: 'cake' });
+            this.status.textContent = 'Microphone unavailable — tap the candles instead.';
+        }
+    }
+
+    // Accepts any MediaStream, so a synthetic oscillator stream works as well as a microphone.
+    // A caller's audioContext is only borrowed: stopping leaves it open.
+    listen(stream, audioContext) {
+        if (this.listening) this.stopListening();
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.ownsContext = !audioContext;
+        this.audioContext = audioContext || new AudioContextClass();
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        this.source.connect(analyser);
+
+        const samples = new Uint8Array(analyser.fftSize);
+        this.listening = true;
+        this.micButton.classList.add('active');
+        this.status.textContent = 'Listening… blow!';
+
+        const poll = () => {
+            if (!this.listening) return;
+
+            analyser.getByteTimeDomainData(samples);
+            if (this.detector.process(samples, performance.now())) {
+                this.blowOutNext();
+            }
+            this.frameId = this.lifecycle.frame(poll);
+        };
+        poll();
+    }
+
+    stopListening() {
+        this.listening = false;
+        this.lifecycle.clear(this.frameId);
+        this.micButton.classList.remove('active');
+
+        if (this.ownedStream) {
+            this.ownedStream.getTracks().forEach(track => track.stop());
+            this.ownedStream = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.audioContext && this.ownsContext) {
+            this.audioContext.close().catch(() => {});
+        }
+        this.audioContext = null;
+    }
+
+    celebrate() {
+        this.stopListening();
+        this.micButton.hidden = true;
+        this.status.textContent = 'All candles out — your wish is on its way!';
+        this.messageElement.hidden = false;
+        this.element.classList.add('wished');
+
+        if (this.onWish) {
+            this.onWish();
+        }
+        this.root.events.emit('cake:wish');
+
+        if (this.fireworksController) {
+            for (let i = 0; i < 5; i++) {
+                this.lifecycle.timeout(() => {
+                    this.fireworksController.createFirework();
+                }, i * 300);
+            }
+        }
+    }
+
+    // Lets go of the microphone before removing the cake
+    destroy() {
+        if (this.listening) this.stopListening();
+        super.destroy();
+    }
+}
+
+// ================================
+// Guestbook
+// ================================
+
+const GUESTBOOK_KEY = 'birthdayApp:guestbook';
+const GUESTBOOK_NAME_MAX = 40;
+const GUESTBOOK_CARD_INTERVAL = 6000;
+
+// Kept short on purpose: catches the obvious, not a moderation system
+const GUESTBOOK_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'slut', 'whore'];
+
+// Undo the usual letter swaps (sh1t, @ss) before matching blocked words
+function normalizeForFilter(text) {
+    return text.toLowerCase()
+        .replace(/[@4]/g, 'a')
+        .replace(/3/g, 'e')
+        .replace(/[1!|]/g, 'i')
+        .replace(/0/g, 'o')
+        .replace(/[$5]/g, 's')
+        .replace(/7/g, 't');
+}
+
+function containsBlockedWord(text) {
+    const words = normalizeForFilter(text).split(/[^a-z]+/);
+    return words.some(word => GUESTBOOK_BLOCKED_WORDS.some(blocked => word === blocked || word === `${blocked}s`));
+}
+
+// Returns a message for the first problem, or null when the wish can be saved
+// Also used on stored wishes, which may come from a server in any shape
+function validateWish(wish, options) {
+    if (!wish || typeof wish !== 'object') return 'Please write a wish';
+    const name = typeof wish.name === 'string' ? wish.name.trim() : '';
+    const message = typeof wish.message === 'string' ? wish.message.trim() : '';
+
+    if (!name) return 'Please add your name';
+    if (name.length > GUESTBOOK_NAME_MAX) return `Names can be up to ${GUESTBOOK_NAME_MAX} characters`;
+    if (!message) return 'Please write a wish';
+    if (message.length > options.maxLength) return `Wishes can be up to ${options.maxLength} characters`;
+    if (!options.emojis.includes(wish.emoji)) return 'Please pick one of the emoji';
+    if (containsBlockedWord(name) || containsBlockedWord(message)) return "Let's keep it friendly — please reword your wish";
+    return null;
+}
+
+// Storage adapters share one shape:
+//   list() -> Promise<wish[]>        oldest first
+//   add(wish) -> Promise<wish>       the saved wish, with id and createdAt filled in
+// where a wish is { id, name, message, emoji, createdAt }.
+
+class LocalGuestbookStorage {
+    constructor(key = GUESTBOOK_KEY) {
+        this.key = key;
+    }
+
+    async list() {
+        try {
+            const wishes = JSON.parse(window.localStorage.getItem(this.key));
+            return Array.isArray(wishes) ? wishes : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async add(wish) {
+        const saved = {
+            ...wish,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: new Date().toISOString()
+        };
+        const wishes = await this.list();
+        wishes.push(saved);
+        // Throws when storage is full or blocked; the guestbook reports it
+        window.localStorage.setItem(this.key, JSON.stringify(wishes));
+        return saved;
+    }
+}
+
+// GET <endpoint> returns the wishes; POST <endpoint> with a JSON wish returns it saved.
+// tools/mock-guestbook-server.js implements this for local testing.
+class HttpGuestbookStorage {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    async list() {
+        const response = await fetch(this.endpoint, { headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Guestbook request failed (${response.status})`);
+        }
+        const data = await response.json();
+        const wishes = Array.isArray(data) ? data : data && data.wishes;
+        return Array.isArray(wishes) ? wishes : [];
+    }
+
+    async add(wish) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(wish)
+        });
+        if (!response.ok) {
+            throw new Error(`Guestbook request failed (${response.status})`);
+        }
+        return response.json();
+    }
+}
+
+function createGuestbookStorage(guestbook) {
+    if (guestbook.storage === 'http') {
+        return new HttpGuestbookStorage(guestbook.endpoint);
+    }
+    return new LocalGuestbookStorage();
+}
+
+// Wishes rise up the page like the floating hearts, one every few seconds
+class WishCardsEffect extends Controller {
+    constructor(root = pageRoot) {
+        super(root);
+        this.wishes = [];
+        this.next = 0;
+        this.interval = null;
+    }
+
+    setWishes(wishes) {
+        this.wishes = wishes.slice();
+    }
+
+    start() {
+        if (this.interval) return;
+        this.interval = this.lifecycle.interval(() => this.createCard(), GUESTBOOK_CARD_INTERVAL);
+    }
+
+    stop() {
+        if (this.interval) {
+            this.lifecycle.clear(this.interval);
+            this.interval = null;
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.interval = null;
+    }
+
+    createCard(wish = null) {
+        if (motion.reduced) return;
+
+        if (!wish) {
+            if (this.wishes.length === 0) return;
+            wish = this.wishes[this.next % this.wishes.length];
+            this.next++;
+        }
+
+        // Decorative copy of text that is also listed in the guestbook panel
+        const card = document.createElement('div');
+        card.className = 'wish-card';
+        card.setAttribute('aria-hidden', 'true');
+        card.style.left = `${Math.random() * 70 + 5}vw`;
+        card.style.animationDuration = `${Math.random() * 4 + 12}s`;
+        card.style.setProperty('--wish-tilt', `${Math.random() * 16 - 8}deg`);
+
+        const emoji = document.createElement('span');
+        emoji.className = 'wish-card-emoji';
+        emoji.textContent = wish.emoji;
+        const message = document.createElement('p');
+        message.className = 'wish-card-message';
+        message.textContent = wish.message;
+        const name = document.createElement('span');
+        name.className = 'wish-card-name';
+        name.textContent = `— ${wish.name}`;
+        card.append(emoji, message, name);
+
+        this.lifecycle.attach(card);
+        card.addEventListener('animationend', () => this.lifecycle.detach(card));
+        this.lifecycle.timeout(() => this.lifecycle.detach(card), 20000); // In case animations are disabled
+    }
+}
+
+class Guestbook extends Controller {
+    constructor(buttonId, guestbook, storage = createGuestbookStorage(guestbook), root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.options = guestbook;
+        this.storage = storage;
+        this.cards = new WishCardsEffect(root);
+        this.wishes = [];
+        this.panel = null;
+        this.submitting = false;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.button) return;
+
+        this.lifecycle.listen(this.button, 'click', () => this.toggle());
+        this.refresh();
+        this.cards.start();
+    }
+
+    async refresh() {
+        let wishes;
+        try {
+            wishes = await this.storage.list();
+        } catch (error) {
+            console.warn('Could not load wishes:', error.message);
+            this.root.toasts.warning("Birthday wishes couldn't be loaded right now", { key: 'guestbook' });
+            return;
+        }
+
+        // Stored wishes get the same checks as new ones; broken or unfriendly entries are dropped
+        this.wishes = wishes.filter(wish => !validateWish(wish, this.options));
+        if (this.wishes.length < wishes.length) {
+            console.warn(`Skipped ${wishes.length - this.wishes.length} invalid wish(es)`);
+        }
+
+        this.cards.setWishes(this.wishes);
+        this.renderList();
+    }
+
+    toggle() {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.panel) return;
+
+        this.panel = document.createElement('form');
+        this.panel.className = 'guestbook';
+        this.panel.setAttribute('aria-label', 'Guestbook');
+        this.panel.innerHTML = `
+            <h2>Leave a birthday wish</h2>
+            <label>Your name <input name="name" maxlength="${GUESTBOOK_NAME_MAX}" autocomplete="name" required></label>
+            <label>Your wish <textarea name="message" rows="3" maxlength="${this.options.maxLength}" required></textarea></label>
+            <span class="guestbook-count" aria-live="polite"></span>
+            <fieldset class="guestbook-emoji">
+                <legend>Pick an emoji</legend>
+            </fieldset>
+            <output class="guestbook-error" role="alert"></output>
+            <div class="guestbook-actions">
+                <button type="submit" class="control-btn">Send wish</button>
+                <button type="button" class="control-btn guestbook-close">Close</button>
+            </div>
+            <ul class="guestbook-list" aria-label="Wishes so far"></ul>
+        `;
+
+        const emojiGroup = this.panel.querySelector('.guestbook-emoji');
+        this.options.emojis.forEach((emoji, index) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'emoji';
+            input.value = emoji;
+            input.checked = index === 0;
+            const glyph = document.createElement('span');
+            glyph.textContent = emoji;
+            label.append(input, glyph);
+            emojiGroup.appendChild(label);
+        });
+
+        const message = this.panel.elements.message;
+        const count = this.panel.querySelector('.guestbook-count');
+        const updateCount = () => {
+            count.textContent = `${message.value.length} / ${this.options.maxLength}`;
+        };
+        message.addEventListener('input', updateCount);
+        updateCount();
+
+        this.panel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.panel.querySelector('.guestbook-close').addEventListener('click', () => this.close());
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.lifecycle.attach(this.panel);
+        this.button.classList.add('active');
+        this.button.setAttribute('aria-expanded', 'true');
+        this.renderList();
+        this.panel.elements.name.focus();
+    }
+
+    close() {
+        if (!this.panel) return;
+
+        this.lifecycle.detach(this.panel);
+        this.panel = null;
+        this.button.classList.remove('active');
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.focus();
+    }
+
+    destroy() {
+        super.destroy();
+        this.cards.destroy();
+        this.panel = null;
+        if (this.button) {
+            this.button.classList.remove('active');
+            this.button.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    renderList() {
+        if (!this.panel) return;
+
+        const list = this.panel.querySelector('.guestbook-list');
+        list.textContent = '';
+        // Newest first in the panel
+        this.wishes.slice().reverse().forEach(wish => {
+            const item = document.createElement('li');
+            const emoji = document.createElement('span');
+            emoji.className = 'guestbook-list-emoji';
+            emoji.textContent = wish.emoji;
+            const text = document.createElement('p');
+            text.textContent = wish.message;
+            const name = document.createElement('span');
+            name.className = 'guestbook-list-name';
+            name.textContent = `— ${wish.name}`;
+            item.append(emoji, text, name);
+            list.appendChild(item);
+        });
+    }
+
+    async submit() {
+        if (this.submitting) return;
+
+        const fields = this.panel.elements;
+        const checked = this.panel.querySelector('input[name="emoji"]:checked');
+        const wish = {
+            name: fields.name.value,
+            message: fields.message.value,
+            emoji: checked ? checked.value : ''
+        };
+
+        const errorOutput = this.panel.querySelector('.guestbook-error');
+        const problem = validateWish(wish, this.options);
+        errorOutput.textContent = problem || '';
+        if (problem) return;
+
+        this.submitting = true;
+        try {
+            const saved = await this.storage.add({
+                name: wish.name.trim(),
+                message: wish.message.trim(),
+                emoji: wish.emoji
+            });
+            this.wishes.push(saved);
+            this.cards.setWishes(this.wishes);
+            this.cards.createCard(saved);
+            this.renderList();
+            fields.message.value = '';
+            fields.message.dispatchEvent(new Event('input'));
+            this.root.toasts.success('Your wish was added ♥', { key: 'guestbook' });
+            this.root.events.emit('wish:added', { wish: saved });
+        } catch (error) {
+            console.warn('Could not save wish:', error.message);
+            errorOutput.textContent = "Your wish couldn't be saved — please try again";
+        } finally {
+            this.submitting = false;
+        }
+    }
+}
+
+// ================================
+// Media Messages
+// ================================
+
+const MEDIA_CLIP_TYPES = ['video', 'audio'];
+const MEDIA_THUMBNAIL_WIDTH = 320;
+const MEDIA_THUMBNAIL_TIME = 0.1; // Seconds in; frame 0 is often black
+
+class MediaMessages extends Controller {
+    constructor(sectionId, messages = DEFAULT_CONFIG.messages, musicController = null, root = pageRoot) {
+        super(root);
+        this.section = this.root.byId(sectionId);
+        this.list = this.section ? this.section.querySelector('.media-messages') : null;
+        this.clips = messages.clips || [];
+        this.music = musicController;
+        this.player = null;
+        this.media = null;
+        this.opener = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+
+        this.init();
+    }
+
+    init() {
+        if (!this.list || this.clips.length === 0) return;
+
+        this.clips.forEach((clip, index) => this.list.appendChild(this.createTile(clip, index)));
+        this.section.hidden = false;
+    }
+
+    createTile(clip, index) {
+        const item = document.createElement('li');
+        const tile = document.createElement('button');
+        tile.type = 'button';
+        tile.className = `media-tile media-tile-${clip.type}`;
+        tile.setAttribute('aria-label', `Play ${clip.type} message from ${clip.from}`);
+
+        const thumbnail = document.createElement('span');
+        thumbnail.className = 'media-thumbnail';
+        const label = document.createElement('span');
+        label.className = 'media-from';
+        label.textContent = clip.from;
+        const title = document.createElement('span');
+        title.className = 'media-title';
+        title.textContent = clip.title || (clip.type === 'video' ? 'Video message' : 'Voice message');
+
+        tile.append(thumbnail, label, title);
+        tile.addEventListener('click', () => this.open(index, tile));
+        item.appendChild(tile);
+
+        if (clip.poster) {
+            const img = document.createElement('img');
+            img.src = clip.poster;
+            img.alt = '';
+            thumbnail.appendChild(img);
+        } else if (clip.type === 'video') {
+            this.observeThumbnail(tile, thumbnail, clip);
+        }
+
+        return item;
+    }
+
+    // Thumbnails need part of each video downloaded, so wait until the tile is near the viewport
+    observeThumbnail(tile, thumbnail, clip) {
+        if (!('IntersectionObserver' in window)) {
+            this.createThumbnail(thumbnail, clip);
+            return;
+        }
+
+        const observer = this.lifecycle.observe(new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                observer.disconnect();
+                this.createThumbnail(thumbnail, clip);
             }
-            
-            crown.appendChild(row);
-            
-            // Animate row appearance
-            setTimeout(() => {
-                row.classList.add('animate');
-            }, layerIndex * 150);
+        }, { rootMargin: '200px' }));
+        observer.observe(tile);
+    }
+
+    // Draw an early frame onto a canvas; drawing a cross-origin frame still displays fine,
+    // it just can't be read back, and we never need to
+    createThumbnail(thumbnail, clip) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'metadata';
+        video.playsInline = true;
+
+        video.addEventListener('loadedmetadata', () => {
+            video.currentTime = Math.min(MEDIA_THUMBNAIL_TIME, video.duration || 0);
+        }, { once: true });
+
+        video.addEventListener('seeked', () => {
+            const canvas = document.createElement('canvas');
+            const ratio = video.videoHeight / video.videoWidth || 9 / 16;
+            canvas.width = MEDIA_THUMBNAIL_WIDTH;
+            canvas.height = Math.round(MEDIA_THUMBNAIL_WIDTH * ratio);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            thumbnail.appendChild(canvas);
+            video.removeAttribute('src');
+            video.load();
+        }, { once: true });
+
+        video.addEventListener('error', () => {
+            thumbnail.classList.add('unavailable');
+        }, { once: true });
+
+        video.src = clip.src;
+    }
+
+    build() {
+        this.player = document.createElement('div');
+        this.player.className = 'media-player';
+        this.player.setAttribute('role', 'dialog');
+        this.player.setAttribute('aria-modal', 'true');
+        this.player.hidden = true;
+        this.player.innerHTML = `
+            <div class="media-player-content">
+                <div class="media-player-stage"></div>
+                <p class="media-player-caption"></p>
+                <button type="button" class="control-btn media-player-close">Close</button>
+            </div>
+        `;
+
+        this.stage = this.player.querySelector('.media-player-stage');
+        this.caption = this.player.querySelector('.media-player-caption');
+        this.player.querySelector('.media-player-close').addEventListener('click', () => this.close());
+        this.player.addEventListener('click', (e) => {
+            if (e.target === this.player) this.close();
         });
-        
-        // Create trunk
-        const trunk = document.createElement('div');
-        trunk.className = 'dynamic-tree-trunk';
-        
-        treeContainer.appendChild(crown);
-        treeContainer.appendChild(trunk);
-        tree.appendChild(treeContainer);
-        
-        document.body.appendChild(tree);
-        this.activeTrees.push(tree);
-        
-        // Add sparkles around the tree
-        setTimeout(() => {
-            this.addSparkles(tree);
-        }, 1500);
-        
-        // Remove tree after duration
-        setTimeout(() => {
-            this.removeTree(tree);
-        }, 15000); // Tree stays for 15 seconds
-        
-        // Reset button state
-        setTimeout(() => {
-            this.isGrowing = false;
-            if (this.activeTrees.length === 0) {
-                this.button.classList.remove('active');
+
+        this.lifecycle.attach(this.player);
+    }
+
+    open(index, opener) {
+        if (!this.player) this.build();
+        this.stopMedia();
+
+        const clip = this.clips[index];
+        this.opener = opener;
+        this.media = document.createElement(clip.type);
+        this.media.className = 'media-player-media';
+        this.media.controls = true;
+        this.media.playsInline = true;
+        if (clip.poster) this.media.poster = clip.poster;
+
+        // Duck the background music only while the message is actually audible
+        this.media.addEventListener('play', () => this.music && this.music.duck());
+        this.media.addEventListener('pause', () => this.music && this.music.unduck());
+        this.media.addEventListener('ended', () => this.music && this.music.unduck());
+        this.media.addEventListener('error', () => {
+            this.root.toasts.warning(`The message from ${clip.from} couldn't be played`, { key: 'media' });
+            if (this.music) this.music.unduck();
+        });
+
+        this.media.src = clip.src;
+        this.stage.appendChild(this.media);
+        this.caption.textContent = clip.title ? `${clip.title} — from ${clip.from}` : `From ${clip.from}`;
+        this.player.setAttribute('aria-label', this.caption.textContent);
+        this.player.hidden = false;
+        this.root.node.addEventListener('keydown', this.handleKeydown);
+
+        this.media.play().catch(() => {
+            // Autoplay refused; the controls are right there
+        });
+        this.media.focus();
+    }
+
+    stopMedia() {
+        if (!this.media) return;
+
+        this.media.pause();
+        this.media.removeAttribute('src');
+        this.media.load();
+        this.media.remove();
+        this.media = null;
+        if (this.music) this.music.unduck();
+    }
+
+    close() {
+        if (!this.player || this.player.hidden) return;
+
+        this.stopMedia();
+        this.player.hidden = true;
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+        if (this.opener) this.opener.focus();
+    }
+
+    // A message that's playing stops where it is; pressing play carries on
+    pause() {
+        super.pause();
+        if (this.media) this.media.pause();
+    }
+
+    destroy() {
+        this.stopMedia();
+        this.root.node.removeEventListener('keydown', this.handleKeydown);
+        super.destroy();
+        this.player = null;
+        this.opener = null;
+        if (this.list) this.list.replaceChildren();
+        if (this.section) this.section.hidden = true;
+    }
+}
+
+// ================================
+// Scene Sequencer
+// ================================
+
+const SCENE_TRANSITIONS = ['fade', 'slide', 'zoom'];
+const SCENE_TRANSITION_MS = 600; // Matches the scene animations in style.css
+const SCENE_SWIPE_DISTANCE = 60;
+
+// Effects a scene can trigger on entry, by name; wired to controllers at startup
+const SCENE_EFFECTS = ['hearts', 'stop-hearts', 'tree', 'celebrate', 'fireworks'];
+
+class SceneSequencer extends Controller {
+    constructor(scenes, actions = {}, root = pageRoot) {
+        super(root);
+        this.scenes = scenes;
+        this.actions = actions;
+        this.index = -1;
+        this.gate = null;
+        this.busy = false;
+        this.timers = [];
+        this.nav = null;
+        this.swipe = null;
+
+        this.init();
+    }
+
+    init() {
+        this.root.body.classList.add('scene-mode');
+
+        // Everything tagged for a scene starts hidden; untagged content stays put
+        this.root.queryAll('[data-scene]').forEach(element => {
+            element.classList.add('scene-inactive');
+        });
+
+        this.buildNav();
+        this.setupInput();
+    }
+
+    buildNav() {
+        this.nav = document.createElement('nav');
+        this.nav.className = 'scene-nav';
+        this.nav.setAttribute('aria-label', 'Story navigation');
+        this.nav.innerHTML = `
+            <button type="button" class="scene-btn scene-back" aria-label="Previous scene">‹</button>
+            <ol class="scene-dots"></ol>
+            <button type="button" class="scene-btn scene-next" aria-label="Next scene">›</button>
+        `;
+
+        this.dots = this.nav.querySelector('.scene-dots');
+        this.scenes.forEach((scene, index) => {
+            const dot = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'scene-dot';
+            button.setAttribute('aria-label', `Go to ${scene.title || scene.id}`);
+            button.addEventListener('click', () => this.go(index));
+            dot.appendChild(button);
+            this.dots.appendChild(dot);
+        });
+
+        this.nav.querySelector('.scene-back').addEventListener('click', () => this.back());
+        this.nav.querySelector('.scene-next').addEventListener('click', () => this.next());
+        this.lifecycle.attach(this.nav);
+    }
+
+    setupInput() {
+        this.lifecycle.listen(this.root.node, 'keydown', (e) => {
+            if (this.isInputBlocked(e.target)) return;
+
+            if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+                this.next();
+            } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+                this.back();
             }
-        }, 2000);
+        });
+
+        // Horizontal touch swipes; mouse drags are left for text selection
+        this.lifecycle.listen(this.root.node, 'pointerdown', (e) => {
+            if (e.pointerType !== 'touch' || this.isInputBlocked(e.target)) return;
+            this.swipe = { x: e.clientX, y: e.clientY };
+        });
+        this.lifecycle.listen(this.root.node, 'pointerup', (e) => {
+            if (!this.swipe) return;
+            const dx = e.clientX - this.swipe.x;
+            const dy = e.clientY - this.swipe.y;
+            this.swipe = null;
+
+            if (Math.abs(dx) > SCENE_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.back();
+                }
+            }
+        });
+        this.lifecycle.listen(this.root.node, 'pointercancel', () => {
+            this.swipe = null;
+        });
+    }
+
+    // Form fields and open dialogs (lightbox, composer) keep their own keys and gestures
+    isInputBlocked(target) {
+        if (target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) {
+            return true;
+        }
+        return !!this.root.query('[aria-modal="true"]:not([hidden])');
+    }
+
+    elementsFor(scene) {
+        return Array.from(this.root.queryAll('[data-scene]'))
+            .filter(element => element.getAttribute('data-scene').split(/\s+/).includes(scene.id));
+    }
+
+    // A scene with nothing to show (e.g. the countdown after the birthday) is skipped
+    isAvailable(scene) {
+        return this.elementsFor(scene).some(element => !element.hidden);
+    }
+
+    findScene(from, step) {
+        for (let i = from + step; i >= 0 && i < this.scenes.length; i += step) {
+            if (this.isAvailable(this.scenes[i])) return i;
+        }
+        return -1;
+    }
+
+    start() {
+        const first = this.findScene(-1, 1);
+        if (first !== -1) this.go(first);
+    }
+
+    // Pin the story to one scene (the countdown) until unlock() is called
+    lockTo(id) {
+        const index = this.scenes.findIndex(scene => scene.id === id);
+        if (index === -1) return;
+
+        this.gate = id;
+        this.nav.hidden = true;
+        this.go(index, { force: true });
+    }
+
+    unlock() {
+        this.gate = null;
+        this.nav.hidden = false;
+        this.go(this.findScene(-1, 1), { force: true });
+    }
+
+    next() {
+        const index = this.findScene(this.index, 1);
+        if (index !== -1) this.go(index);
+    }
+
+    back() {
+        const index = this.findScene(this.index, -1);
+        if (index !== -1) this.go(index);
+    }
+
+    go(index, options = {}) {
+        if (index === this.index || index < 0 || index >= this.scenes.length) return;
+        if (!options.force && (this.busy || this.gate)) return;
+        if (this.busy) this.settle();
+
+        const leaving = this.index >= 0 ? this.scenes[this.index] : null;
+        const entering = this.scenes[index];
+        const enteringElements = this.elementsFor(entering);
+        const leavingElements = leaving
+            ? this.elementsFor(leaving).filter(element => !enteringElements.includes(element))
+            : [];
+        const direction = index > this.index ? 'forward' : 'backward';
+
+        this.index = index;
+        this.busy = true;
+        this.updateNav();
+
+        leavingElements.forEach(element => {
+            element.setAttribute('data-transition', leaving.transition || 'fade');
+            element.setAttribute('data-direction', direction);
+            element.classList.add('scene-leaving');
+        });
+
+        this.schedule(() => {
+            leavingElements.forEach(element => {
+                element.classList.remove('scene-leaving');
+                element.classList.add('scene-inactive');
+            });
+
+            enteringElements.forEach(element => {
+                element.setAttribute('data-transition', entering.transition || 'fade');
+                element.setAttribute('data-direction', direction);
+                element.classList.remove('scene-inactive');
+                element.classList.add('scene-entering');
+            });
+            this.root.scroller.scrollTop = 0;
+            this.runEffects(entering);
+            this.root.events.emit('scene:change', { id: entering.id, index });
+
+            this.schedule(() => {
+                enteringElements.forEach(element => element.classList.remove('scene-entering'));
+                this.busy = false;
+            }, SCENE_TRANSITION_MS);
+        }, leavingElements.length > 0 ? SCENE_TRANSITION_MS : 0);
+    }
+
+    schedule(callback, delay) {
+        const timer = this.lifecycle.timeout(() => {
+            this.timers = this.timers.filter(pending => pending !== timer);
+            callback();
+        }, delay);
+        this.timers.push(timer);
+    }
+
+    // Jump a transition in flight straight to its end state
+    settle() {
+        this.timers.forEach(timer => this.lifecycle.clear(timer));
+        this.timers = [];
+
+        const visible = this.current ? this.elementsFor(this.current) : [];
+        this.root.queryAll('[data-scene]').forEach(element => {
+            element.classList.remove('scene-leaving', 'scene-entering');
+            element.classList.toggle('scene-inactive', !visible.includes(element));
+        });
+        this.busy = false;
+    }
+
+    runEffects(scene) {
+        (scene.effects || []).forEach(name => {
+            if (this.actions[name]) this.actions[name]();
+        });
+    }
+
+    updateNav() {
+        this.dots.querySelectorAll('.scene-dot').forEach((dot, index) => {
+            const available = this.isAvailable(this.scenes[index]);
+            dot.parentElement.hidden = !available;
+            dot.classList.toggle('active', index === this.index);
+            if (index === this.index) {
+                dot.setAttribute('aria-current', 'step');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+        this.nav.querySelector('.scene-back').disabled = this.findScene(this.index, -1) === -1;
+        this.nav.querySelector('.scene-next').disabled = this.findScene(this.index, 1) === -1;
+    }
+
+    get current() {
+        return this.scenes[this.index] || null;
+    }
+
+    // Hand the page back as a plain scrolling document
+    destroy() {
+        super.destroy();
+        this.timers = [];
+        this.nav = null;
+        this.busy = false;
+        this.index = -1;
+        this.root.body.classList.remove('scene-mode');
+        this.root.queryAll('[data-scene]').forEach(element => {
+            element.classList.remove('scene-inactive', 'scene-leaving', 'scene-entering');
+            element.removeAttribute('data-transition');
+            element.removeAttribute('data-direction');
+        });
+    }
+}
+
+// ================================
+// Keyboard Shortcuts & Command Palette
+// ================================
+
+// Remappable from config "shortcuts"; each runs the named action on the app API
+const SHORTCUT_COMMANDS = {
+    music: { label: 'Play / pause music', action: 'toggleMusic' },
+    theme: { label: 'Next theme', action: 'toggleTheme' },
+    tree: { label: 'Grow the love tree', action: 'growTree' },
+    celebrate: { label: 'Celebrate!', action: 'celebrate' },
+    gallery: { label: 'Open the photo gallery', action: 'openGallery' },
+    nextPhoto: { label: 'Next photo', action: 'nextPhoto' },
+    previousPhoto: { label: 'Previous photo', action: 'previousPhoto' },
+    help: { label: 'Show keyboard shortcuts', action: 'showShortcuts' },
+    palette: { label: 'Open the command palette', action: 'openCommandPalette' }
+};
+
+// Palette names for window.birthdayApp actions that aren't shortcuts
+const PALETTE_LABELS = {
+    nextTrack: 'Next track',
+    previousTrack: 'Previous track',
+    openShareComposer: 'Create a personalized link'
+};
+
+// Helpers on window.birthdayApp that make no sense as commands (or are for the embedding host)
+const PALETTE_HIDDEN = ['theme', 'themes', 'secrets', 'pause', 'resume', 'dispose'];
+
+// "ctrl+k", "mod+k" (Ctrl, or ⌘ on a Mac), "shift+g", "?"
+function parseShortcut(binding) {
+    const parts = binding.toLowerCase().split('+');
+    const key = parts.pop() || '+';
+    return {
+        key,
+        mod: parts.includes('mod'),
+        ctrl: parts.includes('ctrl'),
+        alt: parts.includes('alt'),
+        shift: parts.includes('shift'),
+        meta: parts.includes('meta')
+    };
+}
+
+function matchesShortcut(e, shortcut) {
+    if (e.key.toLowerCase() !== shortcut.key) return false;
+
+    const ctrl = shortcut.ctrl || (shortcut.mod && !e.metaKey);
+    const meta = shortcut.meta || (shortcut.mod && !e.ctrlKey);
+    if (e.ctrlKey !== ctrl || e.metaKey !== meta || e.altKey !== shortcut.alt) return false;
+
+    // Symbols like "?" already need Shift on most layouts, so only letters check it
+    return !/^[a-z]$/.test(shortcut.key) || e.shiftKey === shortcut.shift;
+}
+
+// "mod+k" -> "Ctrl K" (or "⌘ K")
+function describeShortcut(binding) {
+    const isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+    return binding.split('+').map(part => {
+        const lower = part.toLowerCase();
+        if (lower === 'mod') return isMac ? '⌘' : 'Ctrl';
+        if (lower === 'ctrl') return 'Ctrl';
+        if (lower === 'alt') return isMac ? '⌥' : 'Alt';
+        if (lower === 'shift') return 'Shift';
+        if (lower === 'meta') return '⌘';
+        return part.length === 1 ? part.toUpperCase() : part;
+    }).join(' ');
+}
+
+// "openShareComposer" -> "Open share composer"
+function humanizeAction(name) {
+    const words = name.replace(/([A-Z])/g, ' $1').toLowerCase().trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isTypingTarget(target) {
+    return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+class KeyboardShortcuts extends Controller {
+    constructor(bindings = DEFAULT_CONFIG.shortcuts, root = pageRoot) {
+        super(root);
+        this.bindings = bindings;
+        this.shortcuts = [];
+        this.help = null;
+        this.returnFocus = null;
+
+        this.handleHelpKeydown = (e) => {
+            if (e.key === 'Escape') this.hideHelp();
+        };
+
+        this.init();
     }
 
-    getRandomPosition() {
-        const margin = 100;
-        const maxWidth = window.innerWidth - margin * 2;
-        return margin + Math.random() * maxWidth;
+    init() {
+        Object.keys(this.bindings).forEach(command => {
+            const binding = this.bindings[command];
+            if (!binding || !SHORTCUT_COMMANDS[command]) return;
+            this.shortcuts.push({ command, binding, shortcut: parseShortcut(binding) });
+        });
+
+        this.lifecycle.listen(this.root.node, 'keydown', (e) => this.handleKeydown(e));
     }
 
-    addSparkles(tree) {
-        const sparkleCount = 12;
-        const treeRect = tree.getBoundingClientRect();
-        
-        for (let i = 0; i < sparkleCount; i++) {
-            setTimeout(() => {
-                const sparkle = document.createElement('div');
-                sparkle.className = 'tree-sparkle';
-                sparkle.textContent = '✨';
-                
-                const angle = (Math.PI * 2 * i) / sparkleCount;
-                const radius = 100;
-                const x = Math.cos(angle) * radius;
-                const y = Math.sin(angle) * radius;
-                
-                sparkle.style.left = '50%';
-                sparkle.style.top = '30%';
-                sparkle.style.transform = `translate(${x}px, ${y}px)`;
-                sparkle.style.animationDelay = (i * 0.1) + 's';
-                
-                tree.appendChild(sparkle);
-            }, i * 100);
+    handleKeydown(e) {
+        // Handled already, e.g. a letter of a secret word being typed
+        if (e.repeat || e.defaultPrevented || isTypingTarget(e.target)) return;
+
+        const match = this.shortcuts.find(entry => matchesShortcut(e, entry.shortcut));
+        if (!match) return;
+
+        const action = this.root.app && this.root.app[SHORTCUT_COMMANDS[match.command].action];
+        if (typeof action !== 'function') return;
+
+        e.preventDefault();
+        action();
+    }
+
+    // Binding for a window.birthdayApp action, for hints in the palette and help
+    bindingFor(action) {
+        const entry = this.shortcuts.find(shortcut => SHORTCUT_COMMANDS[shortcut.command].action === action);
+        return entry ? entry.binding : null;
+    }
+
+    toggleHelp() {
+        if (this.help && !this.help.hidden) {
+            this.hideHelp();
+        } else {
+            this.showHelp();
         }
     }
 
-    removeTree(tree) {
-        tree.classList.add('grow-out');
-        
-        setTimeout(() => {
-            tree.remove();
-            const index = this.activeTrees.indexOf(tree);
-            if (index > -1) {
-                this.activeTrees.splice(index, 1);
-            }
-            
-            if (this.activeTrees.length === 0) {
-                this.button.classList.remove('active');
-            }
-        }, 1500);
+    showHelp() {
+        if (!this.help) {
+            this.help = document.createElement('div');
+            this.help.className = 'shortcut-help';
+            this.help.setAttribute('role', 'dialog');
+            this.help.setAttribute('aria-modal', 'true');
+            this.help.setAttribute('aria-label', 'Keyboard shortcuts');
+            this.help.innerHTML = `
+                <div class="shortcut-help-panel">
+                    <h2>Keyboard shortcuts</h2>
+                    <dl class="shortcut-list"></dl>
+                    <button type="button" class="control-btn shortcut-help-close">Close</button>
+                </div>
+            `;
+
+            const list = this.help.querySelector('.shortcut-list');
+            this.shortcuts.forEach(entry => {
+                const key = document.createElement('dt');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = describeShortcut(entry.binding);
+                key.appendChild(kbd);
+                const label = document.createElement('dd');
+                label.textContent = SHORTCUT_COMMANDS[entry.command].label;
+                list.append(key, label);
+            });
+
+            this.help.querySelector('.shortcut-help-close').addEventListener('click', () => this.hideHelp());
+            this.help.addEventListener('click', (e) => {
+                if (e.target === this.help) this.hideHelp();
+            });
+            this.lifecycle.attach(this.help);
+        }
+
+        this.returnFocus = this.root.activeElement;
+        this.help.hidden = false;
+        this.root.node.addEventListener('keydown', this.handleHelpKeydown);
+        this.help.querySelector('.shortcut-help-close').focus();
     }
 
-    removeOldestTree() {
-        if (this.activeTrees.length > 0) {
-            const oldestTree = this.activeTrees[0];
-            this.removeTree(oldestTree);
+    hideHelp() {
+        if (!this.help || this.help.hidden) return;
+        this.help.hidden = true;
+        this.root.node.removeEventListener('keydown', this.handleHelpKeydown);
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
         }
     }
 
-    clearAllTrees() {
-        this.activeTrees.forEach(tree => {
-            tree.remove();
-        });
-        this.activeTrees = [];
-        this.button.classList.remove('active');
+    destroy() {
+        this.root.node.removeEventListener('keydown', this.handleHelpKeydown);
+        super.destroy();
+        this.help = null;
+        this.returnFocus = null;
     }
 }
 
-// Add CSS for floating hearts animation
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes floatUp {
-        0% {
-            transform: translateY(0) rotate(0deg);
-            opacity: 0;
+class CommandPalette extends Controller {
+    constructor(shortcuts = null, expansions = {}, root = pageRoot) {
+        super(root);
+        this.shortcuts = shortcuts;
+        // Actions that take an argument can list one command per choice instead
+        this.expansions = expansions;
+        this.element = null;
+        this.commands = [];
+        this.matches = [];
+        this.selected = 0;
+        this.returnFocus = null;
+    }
+
+    get isOpen() {
+        return !!this.element && !this.element.hidden;
+    }
+
+    // Every action on the app API (window.birthdayApp on the page) that can run without
+    // arguments, plus expansions
+    collectCommands() {
+        const app = this.root.app || {};
+        const commands = [];
+
+        Object.keys(app).forEach(name => {
+            const action = app[name];
+            if (typeof action !== 'function' || PALETTE_HIDDEN.includes(name)) return;
+            if (name === 'openCommandPalette') return;
+
+            if (this.expansions[name]) {
+                this.expansions[name]().forEach(entry => commands.push({ ...entry, name }));
+                return;
+            }
+            if (action.length > 0) return;
+
+            const shortcut = SHORTCUT_COMMANDS[Object.keys(SHORTCUT_COMMANDS)
+                .find(command => SHORTCUT_COMMANDS[command].action === name)];
+            commands.push({
+                name,
+                label: shortcut ? shortcut.label : (PALETTE_LABELS[name] || humanizeAction(name)),
+                run: () => action(),
+                binding: this.shortcuts ? this.shortcuts.bindingFor(name) : null
+            });
+        });
+
+        return commands;
+    }
+
+    build() {
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Command palette');
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="command-palette-panel">
+                <input class="command-palette-input" type="text" placeholder="Type a command…"
+                    role="combobox" aria-expanded="true" aria-controls="commandPaletteList" aria-autocomplete="list">
+                <ul class="command-palette-list" id="commandPaletteList" role="listbox" aria-label="Commands"></ul>
+            </div>
+        `;
+
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-list');
+
+        this.input.addEventListener('input', () => this.filter());
+        this.input.addEventListener('keydown', (e) => this.onKeydown(e));
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close();
+        });
+
+        this.lifecycle.attach(this.element);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
         }
-        10% {
-            opacity: 0.8;
+    }
+
+    open() {
+        if (!this.element) this.build();
+
+        this.returnFocus = this.root.activeElement;
+        this.commands = this.collectCommands();
+        this.input.value = '';
+        this.element.hidden = false;
+        this.filter();
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
         }
-        90% {
-            opacity: 0.8;
+    }
+
+    // Every word typed has to appear somewhere in the label
+    filter() {
+        const words = this.input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        this.matches = this.commands.filter(command => {
+            const label = command.label.toLowerCase();
+            return words.every(word => label.includes(word));
+        });
+        this.selected = 0;
+        this.render();
+    }
+
+    render() {
+        this.list.textContent = '';
+
+        this.matches.forEach((command, index) => {
+            const item = document.createElement('li');
+            item.id = `command-${index}`;
+            item.className = 'command-palette-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(index === this.selected));
+
+            const label = document.createElement('span');
+            label.textContent = command.label;
+            item.appendChild(label);
+
+            if (command.binding) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = describeShortcut(command.binding);
+                item.appendChild(kbd);
+            }
+
+            item.addEventListener('click', () => this.run(index));
+            item.addEventListener('pointermove', () => this.select(index));
+            this.list.appendChild(item);
+        });
+
+        if (this.matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching commands';
+            this.list.appendChild(empty);
+            this.input.removeAttribute('aria-activedescendant');
+        } else {
+            this.input.setAttribute('aria-activedescendant', `command-${this.selected}`);
         }
-        100% {
-            transform: translateY(-100vh) rotate(360deg);
-            opacity: 0;
+    }
+
+    select(index) {
+        if (index === this.selected || this.matches.length === 0) return;
+
+        const previous = this.list.children[this.selected];
+        if (previous) previous.setAttribute('aria-selected', 'false');
+        this.selected = (index + this.matches.length) % this.matches.length;
+
+        const current = this.list.children[this.selected];
+        current.setAttribute('aria-selected', 'true');
+        if (current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', current.id);
+    }
+
+    onKeydown(e) {
+        if (e.key === 'ArrowDown') {
+            this.select(this.selected + 1);
+        } else if (e.key === 'ArrowUp') {
+            this.select(this.selected - 1);
+        } else if (e.key === 'Enter') {
+            this.run(this.selected);
+        } else if (e.key === 'Escape') {
+            this.close();
+        } else {
+            return;
         }
+        e.preventDefault();
+        // Keep scene and lightbox arrow handlers out of it
+        e.stopPropagation();
+    }
+
+    run(index) {
+        const command = this.matches[index];
+        if (!command) return;
+        this.close();
+        command.run();
     }
-`;
-document.head.appendChild(style);
+
+    destroy() {
+        super.destroy();
+        this.element = null;
+        this.returnFocus = null;
+    }
+}
 
 // ================================
-// Fireworks Controller
+// Secret Triggers
 // ================================
 
-class FireworksController {
-    constructor(buttonId) {
-        this.button = document.getElementById(buttonId);
-        this.isActive = false;
-        this.colors = [
-            '#ff6b9d', '#ffd700', '#00ff00', '#00bfff', 
-            '#ff69b4', '#ff1493', '#ff4500', '#9370db',
-            '#00fa9a', '#ffa500', '#ff6347', '#7fff00'
-        ];
-        
+// keys: a key sequence (Konami style); word: letters typed anywhere on the page;
+// taps: quick taps on an element; longpress: holding an element down
+const SECRET_TYPES = ['keys', 'word', 'taps', 'longpress'];
+
+// Longest pause between taps that still counts as one pattern
+const SECRET_TAP_GAP = 600;
+const SECRET_LONGPRESS_MS = 1200;
+const SECRET_MESSAGE_MS = 6000;
+// How long a letter that may start a secret word waits before it counts as a shortcut
+const SECRET_WORD_HOLD_MS = 800;
+
+class SecretTriggers extends Controller {
+    // effects: the same name -> function map the scene sequencer uses
+    constructor(secrets, effects, { preferences = null, config = DEFAULT_CONFIG } = {}, root = pageRoot) {
+        super(root);
+        this.secrets = secrets;
+        this.effects = effects;
+        this.preferences = preferences;
+        this.config = config;
+
+        this.keyBuffer = [];
+        this.typed = '';
+        this.heldKey = null;
+        this.replaying = null;
+        this.message = null;
+        this.messageTimer = null;
+        this.progress = null;
+
         this.init();
     }
 
     init() {
-        this.button.addEventListener('click', () => this.launch());
+        this.keySecrets = this.secrets.filter(secret => secret.type === 'keys');
+        this.wordSecrets = this.secrets.filter(secret => secret.type === 'word').map(secret => ({
+            secret,
+            word: formatTemplate(secret.word, this.config).toLowerCase().replace(/\s+/g, '')
+        }));
+
+        // Capture phase, so word letters can be held back from the keyboard shortcuts
+        if (this.keySecrets.length || this.wordSecrets.length) {
+            this.lifecycle.listen(this.root.node, 'keydown', (e) => this.handleKeydown(e), true);
+        }
+
+        this.secrets.forEach(secret => {
+            if (secret.type === 'taps') this.watchTaps(secret);
+            if (secret.type === 'longpress') this.watchLongPress(secret);
+        });
+
+        this.renderProgress();
     }
 
-    launch() {
-        if (this.isActive) return;
-        
-        this.isActive = true;
-        this.button.classList.add('active');
-        
-        // Launch multiple fireworks
-        for (let i = 0; i < 8; i++) {
-            setTimeout(() => {
-                this.createFirework();
-            }, i * 400);
+    handleKeydown(e) {
+        if (e === this.replaying || isTypingTarget(e.target)) return;
+
+        const longest = Math.max(0, ...this.keySecrets.map(secret => secret.keys.length));
+        this.keyBuffer.push(e.key.length === 1 ? e.key.toLowerCase() : e.key);
+        this.keyBuffer = this.keyBuffer.slice(-longest);
+
+        this.keySecrets.forEach(secret => {
+            const keys = secret.keys.map(key => key.length === 1 ? key.toLowerCase() : key);
+            const recent = this.keyBuffer.slice(-keys.length);
+            if (recent.length === keys.length && recent.every((key, i) => key === keys[i])) {
+                this.keyBuffer = [];
+                this.reveal(secret);
+            }
+        });
+
+        if (e.key.length !== 1 || /\s/.test(e.key) || e.ctrlKey || e.metaKey || e.altKey || !this.wordSecrets.length) return;
+
+        const longestWord = Math.max(...this.wordSecrets.map(entry => entry.word.length));
+        this.typed = (this.typed + e.key.toLowerCase()).slice(-longestWord);
+
+        const completed = this.wordSecrets.filter(entry => entry.word && this.typed.endsWith(entry.word));
+        if (completed.length) {
+            e.preventDefault();
+            this.dropHeldKey();
+            this.typed = '';
+            completed.forEach(entry => this.reveal(entry.secret));
+            return;
+        }
+
+        // Letters partway through a word are kept from the shortcuts, so typing a name
+        // doesn't toggle the music or open the gallery. A lone first letter is held and
+        // replayed if the word doesn't go on.
+        const prefix = this.wordPrefixLength();
+        if (prefix > 1) {
+            e.preventDefault();
+            this.dropHeldKey();
+            return;
+        }
+        this.replayHeldKey();
+        if (prefix === 1) {
+            e.preventDefault();
+            this.holdKey(e);
         }
-        
-        // Reset button after sequence
-        setTimeout(() => {
-            this.isActive = false;
-            this.button.classList.remove('active');
-        }, 4000);
     }
 
-    createFirework() {
-        const startX = Math.random() * window.innerWidth;
-        const startY = window.innerHeight;
-        const endX = startX + (Math.random() - 0.5) * 200;
-        const endY = Math.random() * (window.innerHeight * 0.4) + 100;
-        
-        // Create rocket trail
-        this.createRocketTrail(startX, startY, endX, endY);
-        
-        // Explode after delay
-        setTimeout(() => {
-            this.explode(endX, endY);
-        }, 800);
+    // Length of the longest end of what was typed that starts one of the words
+    wordPrefixLength() {
+        for (let length = this.typed.length; length > 0; length--) {
+            const tail = this.typed.slice(-length);
+            if (this.wordSecrets.some(entry => entry.word && entry.word.startsWith(tail))) return length;
+        }
+        return 0;
     }
 
-    createRocketTrail(startX, startY, endX, endY) {
-        const trail = document.createElement('div');
-        trail.className = 'firework-trail';
-        trail.style.left = startX + 'px';
-        trail.style.top = startY + 'px';
-        
-        document.body.appendChild(trail);
-        
-        // Animate rocket to destination
-        const duration = 800;
-        const startTime = Date.now();
-        
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            const currentX = startX + (endX - startX) * progress;
-            const currentY = startY + (endY - startY) * progress;
-            
-            trail.style.left = currentX + 'px';
-            trail.style.top = currentY + 'px';
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                setTimeout(() => trail.remove(), 1000);
+    holdKey(e) {
+        this.heldKey = {
+            target: e.target,
+            init: { key: e.key, code: e.code, shiftKey: e.shiftKey, bubbles: true, cancelable: true, composed: true },
+            timer: this.lifecycle.timeout(() => this.replayHeldKey(), SECRET_WORD_HOLD_MS)
+        };
+    }
+
+    dropHeldKey() {
+        if (!this.heldKey) return;
+        this.lifecycle.clear(this.heldKey.timer);
+        this.heldKey = null;
+    }
+
+    // Sends the held letter on to the other key handlers, this one skipping it
+    replayHeldKey() {
+        const held = this.heldKey;
+        if (!held) return;
+        this.dropHeldKey();
+
+        this.replaying = new KeyboardEvent('keydown', held.init);
+        (held.target.isConnected ? held.target : this.root.body).dispatchEvent(this.replaying);
+        this.replaying = null;
+    }
+
+    watchTaps(secret) {
+        const target = this.root.query(secret.target);
+        if (!target) return;
+
+        let taps = 0;
+        let lastTap = 0;
+
+        this.markTarget(target);
+        this.lifecycle.listen(target, 'click', () => {
+            const now = Date.now();
+            taps = now - lastTap <= SECRET_TAP_GAP ? taps + 1 : 1;
+            lastTap = now;
+
+            if (taps >= secret.count) {
+                taps = 0;
+                this.reveal(secret);
             }
+        });
+    }
+
+    watchLongPress(secret) {
+        const target = this.root.query(secret.target);
+        if (!target) return;
+
+        let timer = null;
+        const cancel = () => {
+            this.lifecycle.clear(timer);
+            timer = null;
+            target.classList.remove('secret-pressing');
         };
-        
-        animate();
+
+        this.markTarget(target);
+        target.style.setProperty('--secret-press', `${secret.duration || SECRET_LONGPRESS_MS}ms`);
+        this.lifecycle.add(() => target.style.removeProperty('--secret-press'));
+        this.lifecycle.listen(target, 'pointerdown', () => {
+            cancel();
+            target.classList.add('secret-pressing');
+            timer = this.lifecycle.timeout(() => {
+                cancel();
+                this.reveal(secret);
+            }, secret.duration || SECRET_LONGPRESS_MS);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => this.lifecycle.listen(target, type, cancel));
+        // No long-press menu on touch devices
+        this.lifecycle.listen(target, 'contextmenu', (e) => {
+            if (timer) e.preventDefault();
+        });
     }
 
-    explode(x, y) {
-        const particleCount = 40;
-        const color = this.colors[Math.floor(Math.random() * this.colors.length)];
-        
-        const firework = document.createElement('div');
-        firework.className = 'firework';
-        firework.style.left = x + 'px';
-        firework.style.top = y + 'px';
-        
-        document.body.appendChild(firework);
-        
-        // Create particles
-        for (let i = 0; i < particleCount; i++) {
-            const particle = document.createElement('div');
-            particle.className = 'firework-particle';
-            particle.style.backgroundColor = color;
-            
-            const angle = (Math.PI * 2 * i) / particleCount;
-            const velocity = 100 + Math.random() * 100;
-            const tx = Math.cos(angle) * velocity;
-            const ty = Math.sin(angle) * velocity;
-            
-            particle.style.animation = `explode ${1.5 + Math.random() * 0.5}s ease-out forwards`;
-            particle.style.setProperty('--tx', tx + 'px');
-            particle.style.setProperty('--ty', ty + 'px');
-            
-            // Set transform directly in style
-            particle.style.transform = `translate(${tx}px, ${ty}px) scale(0)`;
-            
-            firework.appendChild(particle);
+    markTarget(target) {
+        target.classList.add('secret-target');
+        this.lifecycle.add(() => target.classList.remove('secret-target', 'secret-pressing'));
+    }
+
+    get found() {
+        if (!this.preferences) return 0;
+        return this.secrets.filter(secret => this.preferences.hasSeen(secret.id)).length;
+    }
+
+    // Effects run every time; only the first find counts toward progress
+    reveal(secret) {
+        const isNew = !!this.preferences && !this.preferences.hasSeen(secret.id);
+        if (isNew) this.preferences.markSeen(secret.id);
+
+        if (secret.effect && this.effects[secret.effect]) {
+            this.effects[secret.effect]();
         }
-        
-        // Add glow effect
-        const glow = document.createElement('div');
-        glow.style.cssText = `
-            position: absolute;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            width: 100px;
-            height: 100px;
-            background: radial-gradient(circle, ${color}, transparent);
-            opacity: 0.8;
-            animation: glowFade 1s ease-out forwards;
-        `;
-        firework.appendChild(glow);
-        
-        // Cleanup
-        setTimeout(() => {
-            firework.remove();
-        }, 3000);
+
+        if (secret.message || isNew) {
+            this.showMessage(secret, isNew);
+        }
+        this.renderProgress();
+        this.root.events.emit('secret:found', { id: secret.id, isNew });
+    }
+
+    showMessage(secret, isNew) {
+        if (!this.message) {
+            this.message = document.createElement('div');
+            this.message.className = 'secret-message';
+            this.message.setAttribute('role', 'status');
+            this.message.innerHTML = `
+                <span class="secret-message-label"></span>
+                <p class="secret-message-text"></p>
+                <span class="secret-message-progress"></span>
+            `;
+            this.message.addEventListener('click', () => this.hideMessage());
+            this.lifecycle.attach(this.message);
+        }
+
+        this.message.querySelector('.secret-message-label').textContent = isNew ? 'Secret found!' : 'Secret';
+        const text = this.message.querySelector('.secret-message-text');
+        text.textContent = secret.message ? formatTemplate(secret.message, this.config) : '';
+        text.hidden = !secret.message;
+        this.message.querySelector('.secret-message-progress').textContent = this.describeProgress();
+
+        this.message.hidden = false;
+        this.message.classList.remove('show');
+        void this.message.offsetWidth;
+        this.message.classList.add('show');
+
+        this.lifecycle.clear(this.messageTimer);
+        this.messageTimer = this.lifecycle.timeout(() => this.hideMessage(), SECRET_MESSAGE_MS);
+    }
+
+    hideMessage() {
+        if (!this.message) return;
+        this.lifecycle.clear(this.messageTimer);
+        this.message.classList.remove('show');
+        this.message.hidden = true;
+    }
+
+    describeProgress() {
+        return `${this.found} of ${this.secrets.length} secrets found`;
+    }
+
+    // Footer counter, shown once the first secret has been found
+    renderProgress() {
+        const found = this.found;
+        if (found === 0) return;
+
+        if (!this.progress) {
+            this.progress = document.createElement('p');
+            this.progress.className = 'secret-progress';
+            this.lifecycle.attach(this.progress, this.root.query('.footer-accent'));
+        }
+        this.progress.textContent = found === this.secrets.length
+            ? `All ${found} secrets found ♥`
+            : this.describeProgress();
+    }
+
+    destroy() {
+        super.destroy();
+        this.message = null;
+        this.messageTimer = null;
+        this.progress = null;
+        this.keyBuffer = [];
+        this.typed = '';
+    }
+}
+
+// ================================
+// Performance Monitor
+// ================================
+
+// Lowest first. particles: share of the configured count; effects: canvas particles
+// alive at once (confetti, bursts, fireworks); hearts/trees: on screen at once
+const QUALITY_LEVELS = [
+    { name: 'low', particles: 0.35, connections: false, effects: 400, hearts: 3, trees: 1, cursorTrail: false },
+    { name: 'medium', particles: 0.65, connections: true, effects: 1200, hearts: 6, trees: 2, cursorTrail: false },
+    { name: 'high', particles: 1, connections: true, effects: 2500, hearts: 12, trees: 3, cursorTrail: true }
+];
+
+// Frames are judged over windows of this length, against the display's own refresh rate
+// (30, 50, 60, 120 Hz, or capped by battery saver), measured from steady windows
+const FPS_SAMPLE_MS = 2000;
+// Below this share of the refresh rate, step down a level; above the recovery share for a
+// few windows, step back up
+const FPS_LOW_RATIO = 0.7;
+const FPS_RECOVER_RATIO = 0.9;
+const FPS_RECOVER_WINDOWS = 3;
+// A frame this many times longer than the typical one was dropped; a window with more
+// than this share of dropped frames is janky, however high its average rate
+const FPS_LONG_FRAME = 1.5;
+const FPS_JANK_SHARE = 0.1;
+// Longer gaps are hiccups (tab switch, debugger, GC) rather than a slow page
+const FPS_MAX_GAP_MS = 250;
+
+class PerformanceMonitor extends Controller {
+    // targets: { particles, effects, hearts, trees, loops } — loops are paused with the tab
+    constructor(preferences = null, targets = {}, root = pageRoot) {
+        super(root);
+        this.preferences = preferences;
+        this.targets = targets;
+        this.levelIndex = QUALITY_LEVELS.length - 1;
+
+        // Sampling state
+        this.frame = null;
+        this.lastFrame = 0;
+        this.windowStart = 0;
+        this.frames = 0;
+        this.intervals = [];
+        this.refreshRate = null; // Frames per second the display manages when the page keeps up
+        this.goodWindows = 0;
+
+        // Why the loops are stopped: 'hidden' (background tab) and/or 'app' (pause())
+        this.holds = new Set();
+
+        this.checkPerformance();
     }
-}
 
-// Add glow animation
-const glowStyle = document.createElement('style');
-glowStyle.textContent = `
-    @keyframes glowFade {
-        0% {
-            transform: translate(-50%, -50%) scale(0);
-            opacity: 0.8;
-        }
-        100% {
-            transform: translate(-50%, -50%) scale(3);
-            opacity: 0;
-        }
+    get quality() {
+        return QUALITY_LEVELS[this.levelIndex];
     }
-`;
-document.head.appendChild(glowStyle);
 
-// ================================
-// Ultimate Celebration Controller
-// ================================
+    checkPerformance() {
+        // Small screens start a level down; the frame rate decides from there
+        if (this.root.width < 768) {
+            this.levelIndex = QUALITY_LEVELS.length - 2;
+        }
+        this.applyQuality();
 
-class UltimateCelebration {
-    constructor(buttonId) {
-        this.button = document.getElementById(buttonId);
-        this.isActive = false;
-        
-        this.init();
+        // Calm mode saved from an earlier visit; the system setting is read by the motion policy
+        this.setReducedEffects(this.preferences && this.preferences.get('reducedEffects'));
+
+        this.lifecycle.listen(document, 'visibilitychange', () => this.setHold('hidden', document.hidden));
+        this.setHold('hidden', document.hidden);
     }
 
-    init() {
-        this.button.addEventListener('click', () => this.activate());
+    setReducedEffects(enabled) {
+        motion.setCalm(enabled);
     }
 
-    activate() {
-        if (this.isActive) return;
-        
-        this.isActive = true;
-        this.button.classList.add('active');
-        
-        // Screen flash
-        this.createScreenFlash();
-        
-        // Massive confetti
-        this.launchConfetti(200);
-        
-        // Multiple fireworks
-        this.launchFireworksShow();
-        
-        // Spawn multiple trees
-        this.spawnTrees();
-        
-        // Heart burst
-        this.heartBurst();
-        
-        // Display celebration message
-        this.showCelebrationMessage();
-        
-        // Play all effects together
-        this.triggerAllEffects();
-        
-        // Reset after celebration
-        setTimeout(() => {
-            this.isActive = false;
-            this.button.classList.remove('active');
-        }, 8000);
+    startSampling() {
+        if (this.frame) return;
+
+        this.lastFrame = performance.now();
+        this.windowStart = this.lastFrame;
+        this.frames = 0;
+        this.intervals = [];
+        this.frame = this.lifecycle.frame(time => this.sample(time));
     }
 
-    createScreenFlash() {
-        const flash = document.createElement('div');
-        flash.className = 'screen-flash';
-        document.body.appendChild(flash);
-        
-        setTimeout(() => flash.remove(), 500);
+    stopSampling() {
+        if (this.frame) {
+            this.lifecycle.clear(this.frame);
+            this.frame = null;
+        }
     }
 
-    launchConfetti(count) {
-        const colors = ['#ff6b9d', '#ffd700', '#00ff00', '#00bfff', '#ff69b4', '#ff1493', '#9370db'];
-        const shapes = ['●', '■', '▲', '★', '♥'];
-        
-        for (let i = 0; i < count; i++) {
-            setTimeout(() => {
-                const confetti = document.createElement('div');
-                confetti.className = 'confetti-piece';
-                confetti.textContent = shapes[Math.floor(Math.random() * shapes.length)];
-                confetti.style.left = Math.random() * 100 + '%';
-                confetti.style.top = '-20px';
-                confetti.style.color = colors[Math.floor(Math.random() * colors.length)];
-                confetti.style.fontSize = (Math.random() * 20 + 15) + 'px';
-                confetti.style.animationDuration = (Math.random() * 2 + 2) + 's';
-                confetti.style.animationDelay = (Math.random() * 0.5) + 's';
-                
-                document.body.appendChild(confetti);
-                
-                setTimeout(() => confetti.remove(), 5000);
-            }, i * 20);
+    sample(time) {
+        // Start a fresh window after a hiccup instead of counting it as slowness
+        if (time - this.lastFrame > FPS_MAX_GAP_MS) {
+            this.windowStart = time;
+            this.frames = 0;
+            this.intervals = [];
+        } else {
+            this.frames++;
+            this.intervals.push(time - this.lastFrame);
+        }
+        this.lastFrame = time;
+
+        const elapsed = time - this.windowStart;
+        if (elapsed >= FPS_SAMPLE_MS) {
+            this.evaluate((this.frames * 1000) / elapsed, this.intervals);
+            this.windowStart = time;
+            this.frames = 0;
+            this.intervals = [];
         }
+
+        this.frame = this.lifecycle.frame(next => this.sample(next));
     }
 
-    launchFireworksShow() {
-        // Trigger massive fireworks system - 15 fireworks over 6 seconds
-        const fireworksController = window.birthdayApp.fireworksController;
-        if (fireworksController) {
-            for (let i = 0; i < 15; i++) {
-                setTimeout(() => {
-                    fireworksController.createFirework();
-                }, i * 400);
+    // intervals: the window's frame times in milliseconds
+    evaluate(fps, intervals) {
+        if (!intervals.length) return;
+
+        // The quicker frames show the refresh interval even when many are dropped
+        const sorted = intervals.slice().sort((a, b) => a - b);
+        const typical = sorted[Math.floor(sorted.length / 4)];
+        const dropped = intervals.filter(interval => interval > typical * FPS_LONG_FRAME).length;
+        const janky = dropped / intervals.length > FPS_JANK_SHARE;
+
+        // A steady window runs at whatever the display allows, so it sets the baseline
+        if (!janky) {
+            this.refreshRate = 1000 / typical;
+        }
+        const baseline = this.refreshRate || fps;
+
+        if (janky || fps < baseline * FPS_LOW_RATIO) {
+            this.goodWindows = 0;
+            this.setLevel(this.levelIndex - 1);
+        } else if (fps >= baseline * FPS_RECOVER_RATIO) {
+            this.goodWindows++;
+            if (this.goodWindows >= FPS_RECOVER_WINDOWS) {
+                this.goodWindows = 0;
+                this.setLevel(this.levelIndex + 1);
             }
+        } else {
+            this.goodWindows = 0;
         }
     }
 
-    spawnTrees() {
-        const treeCreator = window.birthdayApp.treeCreator;
-        if (treeCreator) {
-            for (let i = 0; i < 3; i++) {
-                setTimeout(() => {
-                    treeCreator.createTree();
-                }, i * 500);
-            }
+    setLevel(index) {
+        const clamped = Math.min(Math.max(index, 0), QUALITY_LEVELS.length - 1);
+        if (clamped === this.levelIndex) return;
+
+        this.levelIndex = clamped;
+        this.applyQuality();
+    }
+
+    applyQuality() {
+        const quality = this.quality;
+        const { particles, effects, hearts, trees } = this.targets;
+
+        if (particles) {
+            particles.setDensity(quality.particles);
+            particles.setConnections(quality.connections);
         }
+        if (effects) effects.maxParticles = quality.effects;
+        if (hearts) hearts.maxHearts = quality.hearts;
+        if (trees) trees.maxTrees = quality.trees;
     }
 
-    heartBurst() {
-        const hearts = ['♥', '♡', '❤', '💕', '💖', '💗', '💝', '💘'];
-        
-        for (let i = 0; i < 100; i++) {
-            setTimeout(() => {
-                const heart = document.createElement('div');
-                heart.textContent = hearts[Math.floor(Math.random() * hearts.length)];
-                heart.style.cssText = `
-                    position: fixed;
-                    font-size: ${Math.random() * 30 + 20}px;
-                    color: #ff69b4;
-                    left: 50%;
-                    top: 50%;
-                    pointer-events: none;
-                    z-index: 9999;
-                    animation: heartBurstOut ${Math.random() * 2 + 2}s ease-out forwards;
-                `;
-                
-                const angle = (Math.PI * 2 * i) / 50;
-                const distance = 200 + Math.random() * 300;
-                heart.style.setProperty('--angle', angle);
-                heart.style.setProperty('--distance', distance + 'px');
-                
-                document.body.appendChild(heart);
-                
-                setTimeout(() => heart.remove(), 4000);
-            }, i * 10);
+    // Every animation loop and timer-driven effect stops while any hold is set, so a tab
+    // coming back to the foreground doesn't restart a paused app
+    setHold(reason, held) {
+        if (held) {
+            this.holds.add(reason);
+        } else {
+            this.holds.delete(reason);
+        }
+
+        if (this.holds.size > 0) {
+            this.stopSampling();
+            (this.targets.loops || []).forEach(loop => loop.pause());
+        } else {
+            (this.targets.loops || []).forEach(loop => loop.resume());
+            this.startSampling();
         }
     }
 
-    showCelebrationMessage() {
-        const banner = document.createElement('div');
-        banner.className = 'message-banner';
-        banner.innerHTML = '<h2>🎊 Happy Birthday! 🎊</h2>';
-        
-        document.body.appendChild(banner);
-        
-        setTimeout(() => {
-            banner.classList.add('fade-out');
-            setTimeout(() => banner.remove(), 1000);
-        }, 4000);
+    pause() {
+        this.setHold('app', true);
     }
 
-    triggerAllEffects() {
-        // Shake screen slightly
-        document.body.style.animation = 'shake 0.5s ease-in-out';
-        setTimeout(() => {
-            document.body.style.animation = '';
-        }, 500);
+    resume() {
+        this.setHold('app', false);
+    }
+
+    destroy() {
+        super.destroy();
+        this.frame = null;
+        this.holds.clear();
     }
 }
 
-// Add heart burst animation
-const heartBurstStyle = document.createElement('style');
-heartBurstStyle.textContent = `
-    @keyframes heartBurstOut {
-        0% {
-            transform: translate(-50%, -50%) scale(0) rotate(0deg);
-            opacity: 1;
-        }
-        100% {
-            transform: translate(
-                calc(-50% + cos(var(--angle)) * var(--distance)),
-                calc(-50% + sin(var(--angle)) * var(--distance))
-            ) scale(1.5) rotate(720deg);
-            opacity: 0;
+// Control panel switch for calm mode; the system setting can't be overridden from here
+class CalmModeToggle extends Controller {
+    constructor(buttonId, onChange, root = pageRoot) {
+        super(root);
+        this.button = this.root.byId(buttonId);
+        this.onChange = onChange;
+
+        this.init();
+    }
+
+    init() {
+        this.lifecycle.listen(this.button, 'click', () => this.toggle());
+        this.lifecycle.add(motion.subscribe(() => this.render()));
+        this.render();
+    }
+
+    toggle() {
+        if (motion.system) {
+            this.root.announcer.announce('Motion is already reduced by your device settings');
+            return;
         }
+
+        this.onChange(!motion.calm);
+        this.root.announcer.announce(motion.calm ? 'Calm mode on: animations are paused' : 'Calm mode off');
     }
 
-    @keyframes shake {
-        0%, 100% { transform: translateX(0); }
-        25% { transform: translateX(-10px); }
-        75% { transform: translateX(10px); }
+    render() {
+        this.button.setAttribute('aria-pressed', String(motion.reduced));
+        this.button.classList.toggle('active', motion.reduced);
+        if (motion.system) {
+            this.button.setAttribute('aria-disabled', 'true');
+            this.button.title = 'Reduced motion is on in your device settings';
+        } else {
+            this.button.removeAttribute('aria-disabled');
+            this.button.removeAttribute('title');
+        }
     }
-`;
-document.head.appendChild(heartBurstStyle);
+}
 
 // ================================
-// Image Carousel Controller
+// Plugins
 // ================================
 
-class ImageCarouselController {
+// Plugins add effects and react to the event bus without editing this file:
+//   birthdayApp.registerPlugin({
+//       name: 'snow',
+//       effects: { snow: (context) => { ... } }, // usable by scenes, secrets and runEffect()
+//       setup: (context) => { context.on('celebration:start', ...); return cleanup; }
+//   });
+// Every copy of the app installs every plugin with its own context. Register before the
+// app starts (or queue them in window.birthdayPlugins) so config scenes can use the effects.
+class PluginRegistry {
     constructor() {
-        this.carousels = document.querySelectorAll('.image-carousel');
-        this.imageDatabase = {
-            cake: [
-                'p4.jpg', // Chocolate cake// Celebration cake
-                'p5.jpg', // Pink cake
-            ],
-            chocolate: [
-                'p2.jpg',
-                'p5.jpg', // Chocolate truffles
-            ],
-            love: [
-                'p3.jpg',
-                'p5.jpg',  // Love decoration
-            ]
-        };
-        
-        this.currentIndices = {};
-        this.init();
+        this.plugins = new Map();
+        this.hosts = new Set();
     }
 
-    init() {
-        this.carousels.forEach(carousel => {
-            const category = carousel.getAttribute('data-category');
-            const img = carousel.querySelector('.carousel-image');
-            
-            if (this.imageDatabase[category]) {
-                // Initialize with first image
-                this.currentIndices[category] = 0;
-                this.loadImage(img, this.imageDatabase[category][0]);
-                
-                // Start rotation
-                this.startRotation(carousel, category);
+    // Throws with a readable message when the plugin is malformed
+    register(plugin) {
+        const problem = this.validate(plugin);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        this.plugins.set(plugin.name, plugin);
+        this.hosts.forEach(host => host.install(plugin));
+        return plugin;
+    }
+
+    validate(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || plugin.name.trim() === '') {
+            return 'name must be a non-empty string';
+        }
+        if (this.plugins.has(plugin.name)) {
+            return `plugin "${plugin.name}" is already registered`;
+        }
+        if (plugin.setup !== undefined && typeof plugin.setup !== 'function') {
+            return 'setup must be a function';
+        }
+
+        const effects = plugin.effects || {};
+        if (typeof effects !== 'object' || Array.isArray(effects)) {
+            return 'effects must be an object of functions';
+        }
+        for (const name of Object.keys(effects)) {
+            if (typeof effects[name] !== 'function') {
+                return `effects.${name} must be a function`;
             }
-        });
+            if (knownEffects().includes(name)) {
+                return `effect "${name}" already exists`;
+            }
+        }
+
+        return null;
     }
 
-    loadImage(imgElement, src) {
-        const tempImg = new Image();
-        tempImg.onload = () => {
-            imgElement.src = src;
-            imgElement.classList.add('active');
-        };
-        tempImg.onerror = () => {
-            // Fallback gradient if image fails to load
-            imgElement.style.background = 'linear-gradient(135deg, var(--accent-primary), var(--accent-secondary))';
-        };
-        tempImg.src = src;
+    effectNames() {
+        return Array.from(this.plugins.values()).flatMap(plugin => Object.keys(plugin.effects || {}));
     }
 
-    startRotation(carousel, category) {
-        const img = carousel.querySelector('.carousel-image');
-        const images = this.imageDatabase[category];
-        
-        setInterval(() => {
-            // Fade out current image
-            img.classList.remove('active');
-            
-            setTimeout(() => {
-                // Move to next image
-                this.currentIndices[category] = (this.currentIndices[category] + 1) % images.length;
-                const nextImage = images[this.currentIndices[category]];
-                
-                // Load and fade in new image
-                this.loadImage(img, nextImage);
-            }, 800); // Wait for fade out
-            
-        }, 5000); // Change image every 5 seconds
+    // Installs the plugins registered so far and any that come later; returns a detach function
+    attach(host) {
+        this.hosts.add(host);
+        this.plugins.forEach(plugin => host.install(plugin));
+        return () => this.hosts.delete(host);
     }
 }
 
-class InteractiveEffects {
-    constructor() {
+const plugins = new PluginRegistry();
+
+// Effect names that scenes and secrets may use: the built-ins plus the plugins'
+function knownEffects() {
+    return SCENE_EFFECTS.concat(plugins.effectNames());
+}
+
+// One per copy of the app. Each plugin gets its own lifecycle, so whatever it schedules or
+// adds through its context pauses with the app and is cleaned up on dispose.
+class PluginHost extends Controller {
+    constructor(app, namedEffects, root = pageRoot) {
+        super(root);
+        this.app = app;
+        this.namedEffects = namedEffects;
+        this.installed = new Map(); // plugin name -> Lifecycle
+
         this.init();
     }
 
     init() {
-        this.addImageHoverEffects();
+        this.lifecycle.add(plugins.attach(this));
     }
 
-    addImageHoverEffects() {
-        const carousels = document.querySelectorAll('.image-carousel');
-        carousels.forEach(carousel => {
-            carousel.addEventListener('mouseenter', () => {
-                carousel.style.transition = 'transform 0.3s ease';
-            });
+    install(plugin) {
+        const lifecycle = new Lifecycle(this.root);
+        const context = this.createContext(plugin, lifecycle);
+        this.installed.set(plugin.name, lifecycle);
+
+        Object.keys(plugin.effects || {}).forEach(name => {
+            this.namedEffects[name] = () => {
+                try {
+                    plugin.effects[name](context);
+                } catch (error) {
+                    console.warn(`Plugin "${plugin.name}" effect "${name}" failed:`, error);
+                }
+            };
         });
+
+        if (!plugin.setup) return;
+        try {
+            const cleanup = plugin.setup(context);
+            if (typeof cleanup === 'function') lifecycle.add(cleanup);
+        } catch (error) {
+            console.warn(`Plugin "${plugin.name}" failed to set up:`, error);
+        }
+    }
+
+    createContext(plugin, lifecycle) {
+        const root = this.root;
+        return {
+            name: plugin.name,
+            app: this.app,
+            root,
+            get config() {
+                return root.state.config;
+            },
+            // Effects should check this and skip (or tone down) anything that moves
+            get reduced() {
+                return motion.reduced;
+            },
+            on: (type, handler) => lifecycle.add(root.events.on(type, handler)),
+            once: (type, handler) => lifecycle.add(root.events.once(type, handler)),
+            emit: (type, detail) => root.events.emit(type, detail),
+            timeout: (callback, ms) => lifecycle.timeout(callback, ms),
+            interval: (callback, ms) => lifecycle.interval(callback, ms),
+            frame: (callback) => lifecycle.frame(callback),
+            clear: (handle) => lifecycle.clear(handle),
+            listen: (target, type, handler, options) => lifecycle.listen(target, type, handler, options),
+            attach: (node, parent) => lifecycle.attach(node, parent),
+            detach: (node) => lifecycle.detach(node)
+        };
+    }
+
+    pause() {
+        super.pause();
+        this.installed.forEach(lifecycle => lifecycle.pause());
+    }
+
+    resume() {
+        super.resume();
+        this.installed.forEach(lifecycle => lifecycle.resume());
+    }
+
+    destroy() {
+        super.destroy();
+        this.installed.forEach(lifecycle => lifecycle.destroy());
+        this.installed.clear();
     }
 }
 
 // ================================
-// Performance Monitor
+// Embedding (mountBirthday)
 // ================================
 
-class PerformanceMonitor {
-    constructor() {
-        this.checkPerformance();
-    }
+// index.html, style.css and config.json are looked up next to this script
+const SCRIPT_BASE = document.currentScript ? document.currentScript.src : window.location.href;
 
-    checkPerformance() {
-        // Reduce particles on low-end devices
-        if (window.innerWidth < 768) {
-            const canvas = document.getElementById('particleCanvas');
-            if (canvas) {
-                canvas.style.opacity = '0.2';
-            }
-        }
+// style.css is written for a whole page; in a shadow root :root becomes the host element
+// and body becomes the .birthday-body wrapper standing in for it
+function scopeStyles(css) {
+    return css
+        .replace(/:root\b/g, ':host')
+        .replace(/(^|[\s,{}>+~])body(?![\w-])/g, '$1.birthday-body');
+}
 
-        // Reduce animations if prefers-reduced-motion
-        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-            document.body.style.setProperty('--transition-smooth', 'none');
-            document.body.style.setProperty('--transition-bounce', 'none');
-        }
+// Relative media paths in a mounted copy's config belong to the widget's folder too.
+// Returns a copy; the defaults the config was merged from stay untouched.
+function resolveMediaPaths(config, base) {
+    const resolve = (src) => (typeof src === 'string' && src ? new URL(src, base).href : src);
+    const resolvePhoto = (photo) => (typeof photo === 'string' ? resolve(photo) : { ...photo, src: resolve(photo.src) });
+
+    return {
+        ...config,
+        gallery: config.gallery.map(entry => ({ ...entry, images: entry.images.map(resolvePhoto) })),
+        audio: {
+            ...config.audio,
+            src: resolve(config.audio.src),
+            playlist: config.audio.playlist && config.audio.playlist.map(track => ({ ...track, src: resolve(track.src) }))
+        },
+        timeline: {
+            ...config.timeline,
+            entries: config.timeline.entries.map(entry => (entry.photo ? { ...entry, photo: resolvePhoto(entry.photo) } : entry))
+        },
+        messages: {
+            ...config.messages,
+            clips: config.messages.clips.map(clip => ({ ...clip, src: resolve(clip.src), poster: resolve(clip.poster) }))
+        },
+        images: { ...config.images, manifest: resolve(config.images.manifest) }
+    };
+}
+
+async function fetchText(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+    }
+    return response.text();
+}
+
+// Renders a full copy of the page inside element's shadow root, so it can sit in any page
+// (several at once) without clashing IDs or styles. Fixed layers such as the canvases,
+// trees and banners stay inside the element. Web fonts come from the host page.
+// options: { config: object or URL, baseUrl }. Resolves to the copy's API, shaped like
+// window.birthdayApp; its dispose() also empties the shadow root.
+async function mountBirthday(element, options = {}) {
+    try {
+        return await renderMount(element, options);
+    } catch (error) {
+        // The host page may not be listening, so say so where the widget should have been
+        console.error('The birthday widget failed to load:', error);
+        showMountError(element, error);
+        throw error;
     }
 }
 
+function showMountError(element, error) {
+    const shadow = element.shadowRoot || (element.attachShadow ? element.attachShadow({ mode: 'open' }) : null);
+    if (!shadow) return;
+
+    const style = document.createElement('style');
+    style.textContent = ':host { display: block; } .mount-error { margin: 0; padding: 1rem; font: 1rem/1.4 sans-serif; color: #8a1c1c; background: #fdecec; border-radius: 8px; }';
+    const message = document.createElement('p');
+    message.className = 'mount-error';
+    message.setAttribute('role', 'alert');
+    message.textContent = `This birthday page couldn't be loaded (${error.message})`;
+    shadow.replaceChildren(style, message);
+}
+
+async function renderMount(element, options) {
+    const base = new URL(options.baseUrl || SCRIPT_BASE, window.location.href);
+    const [markup, css] = await Promise.all([
+        fetchText(new URL('index.html', base)),
+        fetchText(new URL('style.css', base))
+    ]);
+
+    const page = new DOMParser().parseFromString(markup, 'text/html');
+    // Parsed scripts never run; an embedded JSON config is kept for ConfigLoader
+    page.querySelectorAll('script:not([type="application/json"])').forEach(script => script.remove());
+    // Relative media paths belong to the widget's folder, not the host page's
+    page.querySelectorAll('[src]').forEach(node => {
+        const src = node.getAttribute('src');
+        if (src) node.setAttribute('src', new URL(src, base).href);
+    });
+
+    const style = document.createElement('style');
+    style.textContent = scopeStyles(css);
+    const body = document.createElement('div');
+    body.className = 'birthday-body';
+    body.append(...page.body.childNodes);
+
+    const shadow = element.shadowRoot || element.attachShadow({ mode: 'open' });
+    shadow.replaceChildren(style, body);
+
+    const root = new AppRoot(shadow, element, body);
+    root.app = createAppApi(root);
+    const configUrl = typeof options.config === 'string' ? options.config : 'config.json';
+    const app = await startBirthday(root, {
+        config: typeof options.config === 'object' ? options.config : null,
+        configUrl: new URL(configUrl, base).href,
+        baseUrl: base.href
+    });
+
+    const dispose = app.dispose;
+    app.dispose = () => {
+        dispose();
+        shadow.replaceChildren();
+    };
+    return app;
+}
+
 // ================================
 // Initialize Application
 // ================================
 
-document.addEventListener('DOMContentLoaded', () => {
+// Starts one copy of the app in `root` (the page, or a shadow root from mountBirthday) and
+// fills in root.app. options: { config, configUrl, baseUrl (for media paths in a mount) }
+async function startBirthday(root, options = {}) {
     console.log('🎂 Happy Birthday Application Initialized');
 
+    // Load configuration and personalize the page before anything animates
+    const configLoader = new ConfigLoader({ root, config: options.config, url: options.configUrl });
+    const loaded = await configLoader.load();
+    const errors = loaded.errors;
+    const mediaBase = !root.isPage && options.baseUrl ? options.baseUrl : null;
+    const baseConfig = mediaBase ? resolveMediaPaths(loaded.config, mediaBase) : loaded.config;
+    const imageManifest = baseConfig.images.manifest
+        ? new ImageManifest(baseConfig.images.manifest, mediaBase).load()
+        : Promise.resolve(null);
+
+    // Shared links can override recipient, sender, message and theme; the link is the
+    // page's own, so mounted copies stick to their config
+    const urlPersonalization = new UrlPersonalization(window.location, root);
+    const config = root.isPage ? await urlPersonalization.apply(baseConfig) : baseConfig;
+    root.state.config = config;
+
+    // A configured birth date gates the celebration behind a countdown
+    const calendar = config.birthday.date ? new BirthdayCalendar(config.birthday) : null;
+    const birthdayPhase = calendar ? calendar.getPhase() : { phase: 'celebration' };
+    if (birthdayPhase.phase === 'belated') {
+        config.hero.greeting = config.birthday.belatedGreeting;
+    }
+    root.body.setAttribute('data-mode', birthdayPhase.phase);
+
+    // Page-level listeners and nodes that don't belong to any one controller
+    const appLifecycle = new Lifecycle(root);
+    appLifecycle.add(motion.addBody(root.body));
+
+    // The API this copy fills in (window.birthdayApp on the page)
+    const app = root.app;
+
+    new ContentRenderer(config, root).render();
+    const errorPanel = configLoader.showErrors(errors);
+    if (errorPanel) appLifecycle.add(() => errorPanel.remove());
+
+    const shareComposer = new ShareComposer(urlPersonalization, config, root);
+    if (root.isPage && new URLSearchParams(window.location.search).has('compose')) {
+        shareComposer.open();
+    }
+
+    // Saved theme, music and effect choices from earlier visits
+    const preferences = new PreferencesStore(PreferencesStore.getStorage(), root);
+
     // Initialize particle system
-    const particleSystem = new ParticleSystem('particleCanvas', 60);
+    const particleSystem = new ParticleSystem('particleCanvas', 60, root);
+
+    // Initialize the shared canvas layer for confetti, hearts, fireworks and trails
+    const effects = new EffectsEngine('effectsCanvas', {}, root);
 
     // Initialize music controller
-    const musicController = new MusicController('bgAudio', 'musicBtn');
+    const musicController = new MusicController('bgAudio', 'musicBtn', {
+        preferences,
+        playlist: config.audio.playlist || [{ title: 'Background music', src: config.audio.src }],
+        crossfade: config.audio.crossfade
+    }, root);
+    particleSystem.attachMusic(musicController);
 
     // Initialize theme controller
-    const themeController = new ThemeController('modeBtn');
+    const themeController = new ThemeController('modeBtn', {
+        initialTheme: config.theme,
+        particleSystem,
+        preferences
+    }, root);
 
     // Initialize floating hearts
-    const floatingHearts = new FloatingHeartsEffect();
+    const floatingHearts = new FloatingHeartsEffect(root);
     floatingHearts.start();
 
     // Initialize love tree creator
-    const loveTreeCreator = new LoveTreeCreator('treeBtn');
+    const loveTreeCreator = new LoveTreeCreator('treeBtn', root);
+
+    // Initialize fireworks controller (used internally by ultimate celebration)
+    const fireworksController = new FireworksController('ultimateBtn', effects, root);
+
+    // Swap the configured cake card's carousel for the candle cake
+    let candleCake = null;
+    const cakeCarousel = config.cake.enabled && Array.from(root.queryAll('.image-carousel'))
+        .find(carousel => carousel.getAttribute('data-category') === config.cake.category);
+    if (cakeCarousel) {
+        const cakeHost = document.createElement('div');
+        cakeHost.className = 'candle-cake-host';
+        cakeCarousel.replaceWith(cakeHost);
+        candleCake = new CandleCake(cakeHost, {
+            candles: config.cake.age || (calendar && calendar.getAge()),
+            message: config.cake.message,
+            fireworksController,
+            onWish: () => preferences.markSeen('cake-wish')
+        }, root);
+    }
 
     // Initialize image carousel
-    const imageCarousel = new ImageCarouselController();
+    const lightbox = new PhotoLightbox(root);
+    const manifest = await imageManifest;
+    const imageCarousel = new ImageCarouselController(config.gallery, lightbox, manifest, root);
 
-    // Initialize fireworks controller (used internally by ultimate celebration)
-    const fireworksController = new FireworksController('ultimateBtn');
+    // Envelope with the long-form letter, inside the message card
+    const loveLetter = new LoveLetter('.message-card .card-content', config.letter, config, root);
+
+    // Friends' wishes, stored locally or on the configured endpoint
+    const guestbook = config.guestbook.enabled
+        ? new Guestbook('guestbookBtn', config.guestbook, createGuestbookStorage(config.guestbook), root)
+        : null;
+    if (!guestbook) {
+        root.byId('guestbookBtn').hidden = true;
+    }
+
+    // Video and voice messages from friends; the music ducks while one plays
+    const mediaMessages = new MediaMessages('messagesSection', config.messages, musicController, root);
+
+    // Initialize the "our story" timeline (hidden unless the config has entries)
+    const memoryTimeline = new MemoryTimeline('timelineSection', config.timeline, { lightbox, manifest }, root);
 
     // Initialize ultimate celebration
-    const ultimateCelebration = new UltimateCelebration('ultimateBtn');
+    const ultimateCelebration = new UltimateCelebration('ultimateBtn', effects, root);
+
+    // Named effects that scenes and secrets can fire
+    const namedEffects = {
+        hearts: () => floatingHearts.start(),
+        'stop-hearts': () => floatingHearts.stop(),
+        tree: () => loveTreeCreator.createTree(),
+        celebrate: () => ultimateCelebration.activate(),
+        fireworks: () => fireworksController.launch()
+    };
+    app.runEffect = (name) => {
+        if (!namedEffects[name]) {
+            throw new Error(`unknown effect "${name}"`);
+        }
+        namedEffects[name]();
+        root.events.emit('effect:run', { name });
+    };
+
+    // Optional story mode: one scene at a time, with effects fired as scenes are entered
+    const sceneSequencer = config.scenes.enabled ? new SceneSequencer(config.scenes.list, namedEffects, root) : null;
+
+    // Once the day is over the page turns belated, without waiting for a reload
+    const watchForBelated = () => {
+        const phase = calendar ? calendar.getPhase() : null;
+        if (!phase || phase.phase !== 'celebration') return;
+
+        appLifecycle.timeout(() => {
+            if (calendar.getPhase().phase !== 'belated') return;
+            config.hero.greeting = config.birthday.belatedGreeting;
+            new ContentRenderer(config, root).renderText();
+            root.body.setAttribute('data-mode', 'belated');
+        }, phase.target - Date.now() + 1000);
+    };
+    watchForBelated();
+
+    // Hold the celebration until the birthday arrives
+    let countdown = null;
+    if (birthdayPhase.phase === 'countdown') {
+        countdown = new BirthdayCountdown('countdownSection', () => {
+            if (sceneSequencer) sceneSequencer.unlock();
+            watchForBelated();
+            ultimateCelebration.activate();
+            preferences.markSeen('birthday-arrival');
+            if (countdown.hasInteracted()) {
+                musicController.play();
+            }
+        }, root);
+        countdown.start(birthdayPhase.target);
+        if (sceneSequencer) sceneSequencer.lockTo('countdown');
+    } else if (sceneSequencer) {
+        sceneSequencer.start();
+    }
 
     // Initialize interactive effects
-    const interactiveEffects = new InteractiveEffects();
+    const interactiveEffects = new InteractiveEffects(root);
 
     // Initialize performance monitor
-    const performanceMonitor = new PerformanceMonitor();
-
-    // Store references for cross-component access
-    window.birthdayApp = window.birthdayApp || {};
-    window.birthdayApp.fireworksController = fireworksController;
-    window.birthdayApp.treeCreator = loveTreeCreator;
-    window.birthdayApp.floatingHearts = floatingHearts;
-
-    // Add smooth scroll behavior
-    document.documentElement.style.scrollBehavior = 'smooth';
-
-    // Easter egg: Konami code
-    let konamiCode = [];
-    const konamiSequence = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
-    
-    document.addEventListener('keydown', (e) => {
-        konamiCode.push(e.key);
-        konamiCode = konamiCode.slice(-10);
-        
-        if (konamiCode.join(',') === konamiSequence.join(',')) {
-            triggerSpecialEffect();
-        }
-    });
+    const performanceMonitor = new PerformanceMonitor(preferences, {
+        particles: particleSystem,
+        effects,
+        hearts: floatingHearts,
+        trees: loveTreeCreator,
+        loops: [particleSystem, effects, floatingHearts, imageCarousel, guestbook && guestbook.cards].filter(Boolean)
+    }, root);
 
-    function triggerSpecialEffect() {
-        // Trigger ultimate celebration
-        ultimateCelebration.activate();
-    }
+    // Calm mode switch in the control panel, saved like the rest of the preferences
+    const calmModeToggle = new CalmModeToggle('calmBtn', (enabled) => app.setReducedEffects(enabled), root);
+
+    // Controllers for debugging and plugins; components themselves talk over root.events
+    app.fireworksController = fireworksController;
+    app.treeCreator = loveTreeCreator;
+    app.floatingHearts = floatingHearts;
+    app.effects = effects;
+    app.particles = particleSystem;
+    app.setTheme = (theme) => themeController.setTheme(theme);
+    app.preferences = preferences;
+    app.setVolume = (volume) => musicController.setVolume(volume);
+    app.music = musicController;
+    app.nextTrack = () => musicController.next();
+    app.previousTrack = () => musicController.previous();
+    app.setReducedEffects = (enabled) => {
+        preferences.set('reducedEffects', !!enabled);
+        performanceMonitor.setReducedEffects(enabled);
+    };
+    app.cake = candleCake;
+    app.performance = performanceMonitor;
+    app.openGallery = (category) => imageCarousel.open(category);
+    app.scenes = sceneSequencer;
+    app.guestbook = guestbook;
+    app.mediaMessages = mediaMessages;
+    app.createShareLink = (values, options) => urlPersonalization.createLink(values, options);
+    app.openShareComposer = () => shareComposer.open();
+    app.nextPhoto = () => imageCarousel.step(1);
+    app.previousPhoto = () => imageCarousel.step(-1);
 
-    // Log theme changes
-    window.addEventListener('storage', (e) => {
-        if (e.key === 'theme') {
-            console.log('Theme changed to:', e.newValue);
+    // Keyboard shortcuts, their help overlay and the Ctrl/⌘+K command palette
+    const keyboardShortcuts = new KeyboardShortcuts(config.shortcuts, root);
+    const commandPalette = new CommandPalette(keyboardShortcuts, {
+        setTheme: () => themeRegistry.names().map(theme => ({
+            label: `Theme: ${themeRegistry.get(theme).label}`,
+            run: () => themeController.setTheme(theme)
+        })),
+        setParticleMode: () => PARTICLE_MODES.map(mode => ({
+            label: `Particles: ${mode}`,
+            run: () => particleSystem.setMode(mode)
+        })),
+        runEffect: () => Object.keys(namedEffects).map(name => ({
+            label: `Effect: ${name}`,
+            run: () => app.runEffect(name)
+        })),
+        setReducedEffects: () => [true, false].map(enabled => ({
+            label: `Calm mode: ${enabled ? 'on' : 'off'}`,
+            run: () => app.setReducedEffects(enabled)
+        })),
+        openGallery: () => config.gallery.map(entry => ({
+            label: `Open gallery: ${entry.label || entry.category}`,
+            run: () => imageCarousel.open(entry.category),
+            binding: entry === config.gallery[0] ? keyboardShortcuts.bindingFor('openGallery') : null
+        }))
+    }, root);
+    app.showShortcuts = () => keyboardShortcuts.toggleHelp();
+    app.openCommandPalette = () => commandPalette.toggle();
+
+    // Add smooth scroll behavior, unless motion is reduced
+    const applyScrollBehavior = () => {
+        root.scroller.style.scrollBehavior = motion.reduced ? 'auto' : 'smooth';
+    };
+    applyScrollBehavior();
+    appLifecycle.add(motion.subscribe(applyScrollBehavior));
+    appLifecycle.add(() => root.scroller.style.removeProperty('scroll-behavior'));
+
+    // Easter eggs: key sequences, typed words, taps and long-presses from config "secrets"
+    const secretTriggers = new SecretTriggers(config.secrets, namedEffects, { preferences, config }, root);
+    app.secrets = () => ({ found: secretTriggers.found, total: config.secrets.length });
+
+    // Keep preferences in sync with other open tabs
+    appLifecycle.listen(window, 'storage', (e) => preferences.handleStorageEvent(e));
+
+    appLifecycle.add(preferences.subscribe((current, previous) => {
+        if (current.theme !== previous.theme && themeRegistry.has(current.theme)) {
+            themeController.setTheme(current.theme, { persist: false });
         }
-    });
+        if (current.music.volume !== previous.music.volume) {
+            musicController.setVolume(current.music.volume, { persist: false });
+        }
+        // Never start audio from another tab, but do stop it
+        if (!current.music.enabled && musicController.isPlaying) {
+            musicController.pause({ persist: false });
+        }
+        if (current.reducedEffects !== previous.reducedEffects) {
+            performanceMonitor.setReducedEffects(current.reducedEffects);
+        }
+    }));
 
     // Cursor trail effect (optional enhancement)
     let cursorTrail = [];
     const maxTrailLength = 20;
 
-    document.addEventListener('mousemove', (e) => {
-        if (window.innerWidth > 768) {
-            createCursorTrail(e.clientX, e.clientY);
+    appLifecycle.listen(root.node, 'mousemove', (e) => {
+        if (root.width > 768 && !motion.reduced && performanceMonitor.quality.cursorTrail) {
+            const point = root.localPoint(e.clientX, e.clientY);
+            createCursorTrail(point.x, point.y);
         }
     });
 
     function createCursorTrail(x, y) {
-        const trail = document.createElement('div');
-        trail.style.cssText = `
-            position: fixed;
-            width: 4px;
-            height: 4px;
-            background: var(--accent-primary);
-            border-radius: 50%;
-            pointer-events: none;
-            z-index: 9998;
-            left: ${x}px;
-            top: ${y}px;
-            opacity: 0.5;
-            transition: all 0.5s;
-        `;
-        
-        document.body.appendChild(trail);
-        
-        setTimeout(() => {
-            trail.style.opacity = '0';
-            trail.style.transform = 'scale(0)';
-        }, 10);
-        
-        setTimeout(() => {
-            trail.remove();
-        }, 500);
+        effects.spawn({
+            kind: 'dot',
+            x,
+            y,
+            life: 0.5,
+            size: 2,
+            color: effects.themeColor('--accent-primary'),
+            alphaFrom: 0.5,
+            scaleTo: 0
+        });
     }
 
+    // Plugins install last so their setup sees the finished API; scenes and secrets only
+    // fire effects after this function returns
+    const pluginHost = new PluginHost(app, namedEffects, root);
+
+    // Every controller in creation order; dispose() tears them down newest first
+    const controllers = [
+        shareComposer, particleSystem, effects, musicController, themeController, floatingHearts,
+        loveTreeCreator, fireworksController, candleCake, lightbox, imageCarousel, loveLetter,
+        guestbook, mediaMessages, memoryTimeline, ultimateCelebration, sceneSequencer, countdown,
+        interactiveEffects, performanceMonitor, calmModeToggle, keyboardShortcuts, commandPalette,
+        secretTriggers, pluginHost
+    ].filter(Boolean);
+
+    // The monitor owns the animation loops (it also stops them for hidden tabs), and music
+    // pauses without saving so the visitor's choice survives
+    const pausable = controllers.filter(controller => controller !== performanceMonitor
+        && controller !== musicController
+        && !performanceMonitor.targets.loops.includes(controller));
+    let paused = false;
+    let disposed = false;
+
+    app.pause = () => {
+        if (paused || disposed) return;
+        paused = true;
+        performanceMonitor.pause();
+        pausable.forEach(controller => controller.pause());
+        musicController.pause({ persist: false });
+        appLifecycle.pause();
+        root.events.emit('app:pause');
+    };
+    app.resume = () => {
+        if (!paused || disposed) return;
+        paused = false;
+        appLifecycle.resume();
+        musicController.resume();
+        pausable.forEach(controller => controller.resume());
+        performanceMonitor.resume();
+        root.events.emit('app:resume');
+    };
+    // For hosts that embed the page: stops every timer, listener and loop and removes
+    // everything the app added to the document
+    app.dispose = () => {
+        if (disposed) return;
+        disposed = true;
+        root.events.emit('app:dispose');
+        controllers.slice().reverse().forEach(controller => controller.destroy());
+        appLifecycle.destroy();
+        root.destroy();
+    };
+
     console.log('✨ All systems initialized. Enjoy the celebration!');
+    root.events.emit('app:ready', { app });
+    return app;
+}
+
+// Pages that only host mounted copies don't have the app's own markup
+document.addEventListener('DOMContentLoaded', () => {
+    if (!pageRoot.byId('particleCanvas')) return;
+
+    startBirthday(pageRoot).catch(error => {
+        console.error('The birthday page failed to start:', error);
+        pageRoot.toasts.error("Something went wrong while setting up the page — please reload", { key: 'startup' });
+    });
 });
 
 // ================================
 // Export for debugging (optional)
 // ================================
 
-window.birthdayApp = {
-    state,
-    version: '2.0.0',
-    theme: () => state.currentTheme,
-    toggleMusic: () => document.getElementById('musicBtn').click(),
-    toggleTheme: () => document.getElementById('modeBtn').click(),
-    growTree: () => document.getElementById('treeBtn').click(),
-    celebrate: () => document.getElementById('ultimateBtn').click()
-};s
\ No newline at end of file
+// The public API of one copy of the app; startBirthday() adds the controllers and the
+// rest of the actions once they exist
+function createAppApi(root) {
+    const app = {
+        state: root.state,
+        version: '2.0.0',
+        theme: () => root.state.currentTheme,
+        themes: () => themeRegistry.names(),
+        registerTheme: (name, definition) => themeRegistry.register(name, definition),
+        notify: (message, options) => root.toasts.show(message, options),
+        toggleMusic: () => root.byId('musicBtn').click(),
+        toggleTheme: () => root.byId('modeBtn').click(),
+        growTree: () => root.byId('treeBtn').click(),
+        celebrate: () => root.byId('ultimateBtn').click(),
+        setParticleMode: (mode, options) => app.particles.setMode(mode, options),
+        on: (type, handler) => root.events.on(type, handler),
+        once: (type, handler) => root.events.once(type, handler),
+        emit: (type, detail) => root.events.emit(type, detail),
+        registerPlugin: (plugin) => plugins.register(plugin)
+    };
+    return app;
+}
+
+window.birthdayApp = createAppApi(pageRoot);
+pageRoot.app = window.birthdayApp;
+window.mountBirthday = mountBirthday;
+
+// Plugins queued by scripts that loaded before this one
+(window.birthdayPlugins || []).forEach(plugin => {
+    try {
+        plugins.register(plugin);
+    } catch (error) {
+        console.warn(`Skipping plugin "${plugin && plugin.name}":`, error.message);
+    }
+});
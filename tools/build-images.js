@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// ================================
+// Responsive Image Pipeline
+// ================================
+//
+// Resizes the gallery photos into WebP/AVIF variants, makes a tiny blur-up
+// placeholder for each and writes images/manifest.json for the carousel.
+//
+//   npm install --no-save sharp
+//   node tools/build-images.js [--all] [--out images]
+//
+// The page only reads the manifest once config.json points at it:
+//   "images": { "manifest": "images/manifest.json" }
+//
+// Photos no page file mentions are reported as unused and skipped (use --all
+// to build them anyway).
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_PATTERN = /\.(jpe?g|png)$/i;
+const WIDTHS = [480, 960, 1600];
+const FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 }
+};
+const PLACEHOLDER_WIDTH = 24;
+
+// Files whose text decides whether a photo is in use. Not script.js: its built-in
+// defaults name the sample photos, which would always count as used.
+const REFERENCE_FILES = ['config.json', 'index.html', 'style.css'];
+
+function parseArgs(argv) {
+    const options = { all: false, out: 'images' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--all') {
+            options.all = true;
+        } else if (argv[i] === '--out') {
+            options.out = argv[++i];
+        } else {
+            throw new Error(`Unknown option "${argv[i]}"`);
+        }
+    }
+    return options;
+}
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('This script needs sharp: run "npm install --no-save sharp" first.');
+        process.exit(1);
+    }
+}
+
+function findSources() {
+    return fs.readdirSync(ROOT).filter(file => SOURCE_PATTERN.test(file)).sort();
+}
+
+function findUnused(sources) {
+    const text = REFERENCE_FILES
+        .filter(file => fs.existsSync(path.join(ROOT, file)))
+        .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+        .join('\n');
+    return sources.filter(file => !text.includes(file));
+}
+
+async function buildImage(sharp, file, outDir) {
+    const input = path.join(ROOT, file);
+    // URLs are relative to the site root, with forward slashes on every platform
+    const urlDir = path.relative(ROOT, outDir).split(path.sep).join('/');
+    const base = path.basename(file, path.extname(file));
+    // Phones store orientation in EXIF; bake it in before resizing
+    const { width, height } = await sharp(input).rotate().metadata().then(meta =>
+        meta.orientation >= 5 ? { width: meta.height, height: meta.width } : meta
+    );
+
+    // Never upscale: widths past the original collapse into the original size
+    const widths = Array.from(new Set(WIDTHS.map(w => Math.min(w, width))));
+    const sources = {};
+
+    for (const format of Object.keys(FORMATS)) {
+        sources[format] = [];
+        for (const w of widths) {
+            const name = `${base}-${w}.${format}`;
+            await sharp(input)
+                .rotate()
+                .resize({ width: w })
+                [format](FORMATS[format])
+                .toFile(path.join(outDir, name));
+            sources[format].push({ src: `${urlDir}/${name}`, width: w });
+        }
+    }
+
+    const placeholder = await sharp(input)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+        sources
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const sharp = loadSharp();
+    const outDir = path.resolve(ROOT, options.out);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const sources = findSources();
+    const unused = findUnused(sources);
+    const manifest = { generated: new Date().toISOString(), images: {}, unused };
+
+    for (const file of sources) {
+        if (unused.includes(file) && !options.all) {
+            console.log(`skip   ${file} (unused)`);
+            continue;
+        }
+        manifest.images[file] = await buildImage(sharp, file, outDir);
+        console.log(`built  ${file}`);
+    }
+
+    const manifestPath = path.join(outDir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 4) + '\n');
+    const manifestUrl = path.relative(ROOT, manifestPath).split(path.sep).join('/');
+    console.log(`\nwrote  ${manifestUrl}; enable it with "images": { "manifest": "${manifestUrl}" } in config.json`);
+
+    if (unused.length > 0) {
+        console.warn(`\nUnused assets (not referenced by ${REFERENCE_FILES.join(', ')}):`);
+        unused.forEach(file => console.warn(`  ${file}`));
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// ================================
+// Mock Guestbook Server
+// ================================
+//
+// In-memory stand-in for a guestbook backend, for trying the "http" storage locally:
+//
+//   node tools/mock-guestbook-server.js [port]
+//
+// then set "guestbook": { "storage": "http", "endpoint": "http://localhost:8787/wishes" }
+// in config.json. Wishes are lost when the server stops.
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const MAX_BODY = 16 * 1024;
+
+const wishes = [];
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (pathname !== '/wishes') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        send(res, 200, wishes);
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let wish;
+        try {
+            wish = JSON.parse(await readBody(req));
+        } catch (error) {
+            send(res, 400, { error: 'Expected a JSON body' });
+            return;
+        }
+
+        const fields = ['name', 'message', 'emoji'];
+        if (!wish || fields.some(field => typeof wish[field] !== 'string' || wish[field].trim() === '')) {
+            send(res, 422, { error: `Wishes need ${fields.join(', ')}` });
+            return;
+        }
+
+        const saved = {
+            id: String(wishes.length + 1),
+            name: wish.name.trim(),
+            message: wish.message.trim(),
+            emoji: wish.emoji,
+            createdAt: new Date().toISOString()
+        };
+        wishes.push(saved);
+        send(res, 201, saved);
+        return;
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock guestbook listening on http://localhost:${PORT}/wishes`);
+});